@@ -2,12 +2,28 @@
 
 // Import required classes
 importScripts(
+  'src/application-status.js',
+  'src/application-matcher.js',
   'src/config-manager.js',
   'src/gmail-client.js',
+  'src/ai-cache.js',
+  'src/ai-provider-error.js',
+  'src/provider-circuit-breaker.js',
+  'src/schema-validator.js',
+  'src/usage-tracker.js',
+  'src/prompt-templates.js',
+  'src/example-store.js',
   'src/ai-provider.js',
+  'src/compensation-parser.js',
   'src/email-processor.js',
+  'src/company-normalizer.js',
   'src/csv-manager.js',
-  'src/scanned-tracker.js'
+  'src/scanned-tracker.js',
+  'src/review-queue.js',
+  'src/rule-classifier.js',
+  'src/template-extractor.js',
+  'src/scan-scheduler.js',
+  'src/notifier.js'
 );
 
 // Initialize managers
@@ -15,6 +31,12 @@ const configManager = new ConfigManager();
 const gmailClient = new GmailClient();
 const csvManager = new CSVManager();
 const scannedTracker = new ScannedTracker();
+const reviewQueue = new ReviewQueue();
+const exampleStore = new ExampleStore();
+const scanScheduler = new ScanScheduler();
+const notifier = new Notifier();
+const aiCache = new AICache();
+const usageTracker = new UsageTracker();
 
 // Global flag to track if processing should be stopped
 let shouldStopProcessing = false;
@@ -54,6 +76,122 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     handleOpenCSV(sendResponse);
     return true; // Will respond asynchronously
   }
+
+  if (message.action === 'updateSchedule') {
+    handleUpdateSchedule(sendResponse);
+    return true; // Will respond asynchronously
+  }
+
+  if (message.action === 'getSchedule') {
+    handleGetSchedule(sendResponse);
+    return true; // Will respond asynchronously
+  }
+
+  if (message.action === 'addManualRecord') {
+    handleAddManualRecord(message.entry, sendResponse);
+    return true; // Will respond asynchronously
+  }
+
+  if (message.action === 'updateRecord') {
+    handleUpdateRecord(message.messageId, message.changes, sendResponse);
+    return true; // Will respond asynchronously
+  }
+
+  if (message.action === 'deleteRecords') {
+    handleDeleteRecords(message.messageIds, sendResponse);
+    return true; // Will respond asynchronously
+  }
+
+  if (message.action === 'normalizeCompanies') {
+    csvManager.normalizeCompanies()
+      .then(result => sendResponse({ success: true, ...result }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true; // Will respond asynchronously
+  }
+
+  if (message.action === 'mergeRecords') {
+    handleMergeRecords(message.primaryId, message.otherIds, sendResponse);
+    return true; // Will respond asynchronously
+  }
+
+  if (message.action === 'markRecordsSeen') {
+    notifier.clearUnseen().then(() => sendResponse({ success: true }));
+    return true; // Will respond asynchronously
+  }
+
+  if (message.action === 'listModels') {
+    handleListModels(message.provider, sendResponse);
+    return true; // Will respond asynchronously
+  }
+
+  if (message.action === 'testPrompt') {
+    handleTestPrompt(message.name, message.template, message.email, message.run, sendResponse);
+    return true; // Will respond asynchronously
+  }
+
+  if (message.action === 'getReviewQueue') {
+    reviewQueue.getItems().then(items => sendResponse({ success: true, items }));
+    return true; // Will respond asynchronously
+  }
+
+  if (message.action === 'resolveReviewItem') {
+    handleResolveReviewItem(message.messageId, message.decision, message.changes, sendResponse);
+    return true; // Will respond asynchronously
+  }
+
+  if (message.action === 'getExamples') {
+    exampleStore.getExamples().then(examples => sendResponse({ success: true, examples }));
+    return true; // Will respond asynchronously
+  }
+
+  if (message.action === 'addExample') {
+    exampleStore.add(message.example)
+      .then(example => sendResponse({ success: true, example }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true; // Will respond asynchronously
+  }
+
+  if (message.action === 'deleteExamples') {
+    exampleStore.remove(message.ids)
+      .then(deleted => sendResponse({ success: true, deleted }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true; // Will respond asynchronously
+  }
+
+  if (message.action === 'getUsage') {
+    usageTracker.getUsage().then(usage => sendResponse({ success: true, usage }));
+    return true; // Will respond asynchronously
+  }
+
+  if (message.action === 'resetUsage') {
+    usageTracker.reset().then(() => sendResponse({ success: true }));
+    return true; // Will respond asynchronously
+  }
+
+  if (message.action === 'getAICacheStats') {
+    aiCache.getCount().then(count => sendResponse({ success: true, count }));
+    return true; // Will respond asynchronously
+  }
+
+  if (message.action === 'clearAICache') {
+    aiCache.clear()
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true; // Will respond asynchronously
+  }
+});
+
+// Open the dashboard when a notification is clicked
+chrome.notifications.onClicked.addListener((notificationId) => {
+  chrome.tabs.create({ url: chrome.runtime.getURL('dashboard.html') });
+  chrome.notifications.clear(notificationId);
+});
+
+// Run scheduled scans
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (scanScheduler.isScanAlarm(alarm)) {
+    handleScheduledScan();
+  }
 });
 
 /**
@@ -92,11 +230,16 @@ async function handleRevokeToken(sendResponse) {
 }
 
 /**
- * Handle email processing workflow
+ * Handle email processing requested from the popup
  * @param {Object} settings - Processing settings
  * @param {Function} sendResponse - Response callback
  */
 async function handleProcessEmails(settings, sendResponse) {
+  if (isProcessing) {
+    sendResponse({ success: false, error: 'Processing is already running' });
+    return;
+  }
+
   try {
     // Set processing flag
     isProcessing = true;
@@ -104,168 +247,417 @@ async function handleProcessEmails(settings, sendResponse) {
     // Reset stop flag at the start of processing
     shouldStopProcessing = false;
 
-    // Send progress update to popup
-    const sendProgress = (message) => {
-      chrome.runtime.sendMessage({ type: 'progress', message });
-    };
+    const response = await runProcessingPipeline(settings, { interactive: true });
+    sendResponse(response);
+  } catch (error) {
+    console.error('Processing error:', error);
+    sendResponse({ success: false, error: error.message });
+  } finally {
+    // Clear processing flag when done (success or error)
+    isProcessing = false;
+  }
+}
 
-    sendProgress('Initializing...');
+/**
+ * Run the email processing pipeline: fetch, categorize, extract and save
+ * @param {Object} settings - Processing settings {provider, apiKey, timePeriod, emailLimit}
+ * @param {Object} options - Run options
+ * @param {boolean} options.interactive - Whether Gmail may show a sign-in prompt
+ * @returns {Promise<Object>} Response object {success, stopped, results}
+ */
+async function runProcessingPipeline(settings, { interactive }) {
+  // Send progress update to popup
+  const sendProgress = (message) => {
+    chrome.runtime.sendMessage({ type: 'progress', message }).catch(() => {
+      // Popup is closed (always the case for scheduled scans); nothing to show
+    });
+  };
 
-    // Step 1: Authenticate with Gmail if needed
-    sendProgress('Authenticating with Gmail...');
-    const token = await gmailClient.getAccessToken();
+  sendProgress('Initializing...');
 
-    if (!token) {
-      throw new Error('Gmail authentication required');
-    }
+  // Step 1: Authenticate with Gmail if needed
+  sendProgress('Authenticating with Gmail...');
+  const token = await gmailClient.getAccessToken(interactive);
 
-    // Step 2: Get settings
-    const config = await configManager.getSettings();
-    const checkpoint = await configManager.getCheckpoint();
+  if (!token) {
+    throw new Error('Gmail authentication required');
+  }
 
-    // Step 3: Fetch emails
-    sendProgress('Fetching emails from Gmail...');
+  // Step 2: Get settings
+  const config = await configManager.getSettings();
 
-    // Get already scanned email IDs first
-    const scannedIds = await scannedTracker.getScannedIds();
+  // The custom provider's host is granted at runtime from Advanced Settings; check before fetching anything
+  const customProviderAccess = await hasCustomProviderAccess(config);
+  if (settings.provider === 'custom' && !customProviderAccess) {
+    throw new Error('The extension has no access to the custom provider URL. Save the custom provider under Advanced Settings to grant it.');
+  }
 
-    // Fetch more emails than requested to account for already-scanned ones
-    // This allows us to get "deeper" into the inbox on subsequent runs
-    const requestedLimit = settings.emailLimit || config.emailLimit;
-    const fetchLimit = Math.min(requestedLimit + scannedIds.size, 500); // Cap at Gmail API limit
+  // Step 3: Fetch emails
+  sendProgress('Fetching emails from Gmail...');
+
+  // Get already scanned email IDs first so they are skipped while fetching
+  // (emails waiting for review were processed already, so they are skipped too)
+  const scannedIds = await scannedTracker.getScannedIds();
+  (await reviewQueue.getIds()).forEach(id => scannedIds.add(id));
+  const requestedLimit = settings.emailLimit || config.emailLimit;
+
+  const fetchResult = await fetchUnscannedEmails({
+    config,
+    timePeriod: settings.timePeriod || config.timePeriod,
+    limit: requestedLimit,
+    scannedIds,
+    sendProgress
+  });
+  const { emails: unscannedEmails, listedCount, alreadyScanned } = fetchResult;
+
+  if (listedCount === 0) {
+    await saveHistoryCheckpoint(fetchResult, false);
+    return {
+      success: true,
+      results: {
+        emailsScanned: 0,
+        confirmationsFound: 0,
+        newRecords: 0,
+        statusUpdates: 0,
+        duplicatesSkipped: 0,
+        errors: 0
+      }
+    };
+  }
 
-    const emails = await gmailClient.fetchEmails({
-      timePeriod: settings.timePeriod || config.timePeriod,
-      maxResults: fetchLimit,
-      checkpoint: null // Don't use checkpoint for filtering, we'll filter by scanned IDs instead
-    });
+  if (unscannedEmails.length === 0) {
+    await saveHistoryCheckpoint(fetchResult, false);
+    return {
+      success: true,
+      results: {
+        emailsScanned: 0,
+        confirmationsFound: 0,
+        newRecords: 0,
+        statusUpdates: 0,
+        duplicatesSkipped: alreadyScanned,
+        errors: 0,
+        emailDetails: [],
+        message: `All ${listedCount} emails in the time period have already been scanned. Try increasing the time period or clearing scan history.`
+      }
+    };
+  }
 
-    if (emails.length === 0) {
-      sendResponse({
-        success: true,
-        results: {
-          emailsScanned: 0,
-          confirmationsFound: 0,
-          newRecords: 0,
-          duplicatesSkipped: 0,
-          errors: 0
-        }
-      });
-      return;
+  sendProgress(`Processing ${unscannedEmails.length} new emails (${alreadyScanned} already scanned)...`);
+
+  // Step 4: Initialize AI Provider (with the shared result cache unless it is turned off)
+  aiCache.maxEntries = config.aiCacheMaxEntries;
+  const aiProvider = new AIProvider(settings.provider, settings.apiKey, {
+    cache: config.aiCacheEnabled ? aiCache : null,
+    bypassCache: config.bypassAICache,
+    prices: config.modelPrices,
+    fallbacks: (await configManager.getFallbackProviders(settings.provider))
+      .filter(fallback => fallback.provider !== 'custom' || customProviderAccess),
+    custom: configManager.getCustomProviderOptions(config),
+    promptTemplates: config.promptTemplates,
+    examples: await exampleStore.getExamples(),
+    ...configManager.getModelOptions(config)
+  });
+
+  // Step 5: Process emails (user rules always apply; built-in rules and ATS templates can be turned off)
+  const ruleClassifier = new RuleClassifier(config.classificationRules, {
+    builtInRules: config.ruleClassifierEnabled
+  });
+  const templateExtractor = config.templateExtractionEnabled ? new TemplateExtractor() : null;
+  const dayUsage = await usageTracker.getDayUsage();
+  const emailProcessor = new EmailProcessor(aiProvider, {
+    ruleClassifier,
+    templateExtractor,
+    batchSize: (config.batchSizes || {})[settings.provider] || 1,
+    reviewThreshold: config.reviewConfidenceThreshold,
+    budget: {
+      maxRunTokens: config.maxRunTokens,
+      maxRunCost: config.maxRunCost,
+      maxDayTokens: config.maxDayTokens,
+      maxDayCost: config.maxDayCost,
+      dayTokensUsed: dayUsage.inputTokens + dayUsage.outputTokens,
+      dayCostUsed: dayUsage.cost
     }
+  });
 
-    sendProgress(`Found ${emails.length} emails. Filtering already scanned emails...`);
-
-    // Step 4: Filter out already scanned emails and limit to requested amount
-    const unscannedEmails = emails
-      .filter(email => !scannedIds.has(email.messageId))
-      .slice(0, requestedLimit); // Only process the requested number
-
-    const alreadyScanned = emails.length - (emails.filter(email => !scannedIds.has(email.messageId)).length);
-
-    if (unscannedEmails.length === 0) {
-      sendResponse({
-        success: true,
-        results: {
-          emailsScanned: 0,
-          confirmationsFound: 0,
-          newRecords: 0,
-          duplicatesSkipped: alreadyScanned,
-          errors: 0,
-          emailDetails: [],
-          message: `All ${emails.length} emails in the time period have already been scanned. Try increasing the time period or clearing scan history.`
-        }
-      });
-      return;
+  // Tokens spent are recorded even when the run fails part way, so the daily budget sees them
+  let records;
+  try {
+    // Catch a wrong or retired model name once, before every email fails with it. The test costs an
+    // AI call per model, so it only runs when the provider or models changed since it last passed.
+    const modelSignature = aiProvider.getModelCheckSignature();
+    if (modelSignature !== config.verifiedModels) {
+      sendProgress('Testing AI connection...');
+      const passed = await aiProvider.checkModels();
+      if (passed.length === aiProvider.getCheckedModels().length) {
+        await configManager.updateVerifiedModels(modelSignature);
+      }
     }
 
-    sendProgress(`Processing ${unscannedEmails.length} new emails (${alreadyScanned} already scanned)...`);
-
-    // Step 5: Initialize AI Provider
-    const aiProvider = new AIProvider(settings.provider, settings.apiKey);
-
-    // Step 6: Process emails
-    const emailProcessor = new EmailProcessor(aiProvider);
-
-    const records = await emailProcessor.processEmails(
+    records = await emailProcessor.processEmails(
       unscannedEmails,
       (progress) => {
         sendProgress(progress.message);
       },
       () => shouldStopProcessing // Pass stop check function
     );
+  } finally {
+    await aiCache.flush();
+    await usageTracker.addRun(aiProvider.getUsage());
+  }
 
-    const stats = emailProcessor.getStats();
-    const emailDetails = emailProcessor.getEmailDetails();
+  const stats = emailProcessor.getStats();
+  const emailDetails = emailProcessor.getEmailDetails();
+  const usage = aiProvider.getUsage();
+
+  // Check if processing was stopped, by the user or by the AI budget
+  const budgetExhausted = emailProcessor.budgetExhausted;
+  const stopped = shouldStopProcessing || Boolean(budgetExhausted);
+  if (budgetExhausted) {
+    sendProgress(`${budgetExhausted}. Saving partial results...`);
+  } else if (shouldStopProcessing) {
+    sendProgress('Processing stopped by user. Saving partial results...');
+  }
 
-    // Check if processing was stopped
-    if (shouldStopProcessing) {
-      sendProgress('Processing stopped by user. Saving partial results...');
-    }
+  // Mark all processed emails as scanned (even if they weren't confirmations)
+  // Only mark the ones we actually processed (up to the point we stopped); emails queued for
+  // review are marked when they are decided
+  const reviewItems = emailProcessor.getReviewItems();
+  const queuedIds = new Set(reviewItems.map(item => item.message_id));
+  const processedIds = emailDetails.map((_, idx) => unscannedEmails[idx].messageId)
+    .filter(id => id && !queuedIds.has(id));
+  await reviewQueue.add(reviewItems);
+  if (processedIds.length > 0) {
+    await scannedTracker.markAsScanned(processedIds);
+    console.log(`Marked ${processedIds.length} emails as scanned`);
+  }
+
+  // Step 6: Add new applications and attach follow-up emails to existing ones
+  let upsertResult = { added: 0, updated: 0, duplicatesSkipped: 0, addedRecords: [], statusChanges: [] };
+  if (records.length > 0) {
+    sendProgress(`Saving ${records.length} application emails to CSV...`);
+    upsertResult = await csvManager.upsertRecords(records);
+  }
 
-    // Mark all processed emails as scanned (even if they weren't confirmations)
-    // Only mark the ones we actually processed (up to the point we stopped)
-    const processedIds = emailDetails.map((_, idx) => unscannedEmails[idx].messageId).filter(id => id);
-    if (processedIds.length > 0) {
-      await scannedTracker.markAsScanned(processedIds);
-      console.log(`Marked ${processedIds.length} emails as scanned`);
+  // Notify about new applications and status changes (never fail the run over a notification)
+  try {
+    await notifier.notifyRunChanges(upsertResult, config);
+  } catch (error) {
+    console.error('Notification error:', error);
+  }
+
+  // Step 7: Update checkpoint with the latest email date
+  if (upsertResult.added > 0 || upsertResult.updated > 0) {
+    sendProgress('Updating checkpoint...');
+    const latestEmail = unscannedEmails.reduce((latest, email) => {
+      return new Date(email.date) > new Date(latest.date) ? email : latest;
+    });
+    await configManager.updateCheckpoint(latestEmail.date);
+  }
+
+  // Step 8: Advance the history checkpoint only if every new email was processed
+  await saveHistoryCheckpoint(fetchResult, stopped);
+
+  return {
+    success: true,
+    stopped,
+    results: {
+      emailsScanned: stats.emailsScanned,
+      confirmationsFound: stats.confirmationsFound,
+      aiCallsAvoided: stats.aiCallsAvoided,
+      templateExtractions: stats.templateExtractions,
+      cacheHits: aiProvider.cacheHits,
+      failedProviders: aiProvider.circuitBreaker.getOpenCircuits(),
+      usage: {
+        calls: usage.calls,
+        inputTokens: usage.inputTokens,
+        outputTokens: usage.outputTokens,
+        estimatedCalls: usage.estimatedCalls,
+        cost: usage.cost
+      },
+      newRecords: upsertResult.added,
+      statusUpdates: upsertResult.updated,
+      duplicatesSkipped: alreadyScanned + upsertResult.duplicatesSkipped,
+      errors: stats.errors,
+      invalidResponses: stats.invalidResponses,
+      queuedForReview: stats.queuedForReview,
+      emailDetails: emailDetails,
+      budgetExhausted,
+      message: budgetExhausted
+        ? `${budgetExhausted}. Partial results saved; raise the budget under Advanced Settings to continue.`
+        : shouldStopProcessing ? 'Processing stopped by user. Partial results saved.' : null
     }
+  };
+}
 
-    // Step 7: Check for duplicates in CSV (for confirmed applications only)
-    const existingIds = await csvManager.getExistingMessageIds();
-    const newRecords = records.filter(record => !existingIds.has(record.message_id));
-    const csvDuplicates = records.length - newRecords.length;
+/**
+ * Check whether the host permission for the custom provider's base URL has been granted
+ * @param {Object} config - Settings object
+ * @returns {Promise<boolean>} True if the custom provider can be called
+ */
+async function hasCustomProviderAccess(config) {
+  const origin = configManager.getCustomOriginPattern(config.customBaseUrl);
+  if (!origin) return false;
+  return await chrome.permissions.contains({ origins: [origin] });
+}
 
-    // Step 8: Save records to CSV
-    if (newRecords.length > 0) {
-      sendProgress(`Saving ${newRecords.length} new applications to CSV...`);
-      const result = await csvManager.addRecords(newRecords);
+/**
+ * Run a scheduled scan with the saved settings, without the popup
+ * Skipped if a manual or earlier scheduled run is still processing.
+ * @returns {Promise<void>}
+ */
+async function handleScheduledScan() {
+  const startedAt = new Date().toISOString();
 
-      sendProgress('Updating checkpoint...');
+  // Daily alarms fire once, so set tomorrow's first (also when this run is skipped or fails)
+  try {
+    await scanScheduler.scheduleNext(await configManager.getSettings());
+  } catch (error) {
+    console.error('Failed to schedule the next scan:', error);
+  }
 
-      // Update checkpoint with the latest email date
-      if (emails.length > 0) {
-        const latestEmail = emails.reduce((latest, email) => {
-          return new Date(email.date) > new Date(latest.date) ? email : latest;
-        });
-        await configManager.updateCheckpoint(latestEmail.date);
-      }
+  if (isProcessing) {
+    console.log('Scheduled scan skipped: processing already running');
+    await configManager.saveSetting('lastScheduledRun', { time: startedAt, skipped: true });
+    return;
+  }
 
-      sendResponse({
-        success: true,
-        stopped: shouldStopProcessing,
-        results: {
-          emailsScanned: stats.emailsScanned,
-          confirmationsFound: stats.confirmationsFound,
-          newRecords: newRecords.length,
-          duplicatesSkipped: alreadyScanned + csvDuplicates,
-          errors: stats.errors,
-          emailDetails: emailDetails,
-          message: shouldStopProcessing ? 'Processing stopped by user. Partial results saved.' : null
-        }
-      });
-    } else {
-      sendResponse({
-        success: true,
-        stopped: shouldStopProcessing,
-        results: {
-          emailsScanned: stats.emailsScanned,
-          confirmationsFound: stats.confirmationsFound,
-          newRecords: 0,
-          duplicatesSkipped: alreadyScanned + csvDuplicates,
-          errors: stats.errors,
-          emailDetails: emailDetails,
-          message: shouldStopProcessing ? 'Processing stopped by user. Partial results saved.' : null
-        }
-      });
-    }
+  try {
+    isProcessing = true;
+    shouldStopProcessing = false;
 
+    const config = await configManager.getSettings();
+    const { provider, apiKey } = await configManager.getActiveProviderConfig();
+
+    const response = await runProcessingPipeline({
+      provider,
+      apiKey,
+      timePeriod: parseInt(config.timePeriod),
+      emailLimit: parseInt(config.emailLimit)
+    }, { interactive: false });
+
+    // Save results the same way the popup does after a manual run
+    await chrome.storage.local.set({
+      lastResults: response.results,
+      lastProcessedTime: new Date().toISOString(),
+      lastScheduledRun: { time: startedAt, success: true, budgetExhausted: response.results.budgetExhausted || null }
+    });
   } catch (error) {
-    console.error('Processing error:', error);
-    sendResponse({ success: false, error: error.message });
+    console.error('Scheduled scan error:', error);
+    await configManager.saveSetting('lastScheduledRun', { time: startedAt, success: false, error: error.message });
   } finally {
-    // Clear processing flag when done (success or error)
     isProcessing = false;
+    chrome.runtime.sendMessage({ type: 'processingComplete' }).catch(() => {
+      // Popup is closed; nothing to refresh
+    });
+  }
+}
+
+/**
+ * Apply the saved scan schedule and report the next run time
+ * @param {Function} sendResponse - Response callback
+ */
+async function handleUpdateSchedule(sendResponse) {
+  try {
+    const config = await configManager.getSettings();
+    const nextRun = await scanScheduler.applySchedule(config);
+    sendResponse({ success: true, nextRun });
+  } catch (error) {
+    console.error('Schedule update error:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Report the next scheduled run and the outcome of the last one
+ * @param {Function} sendResponse - Response callback
+ */
+async function handleGetSchedule(sendResponse) {
+  try {
+    const nextRun = await scanScheduler.getNextRun();
+    const lastRun = await configManager.getSetting('lastScheduledRun');
+    sendResponse({ success: true, nextRun, lastRun });
+  } catch (error) {
+    console.error('Get schedule error:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Fetch unscanned emails, incrementally via the Gmail History API when a checkpoint exists,
+ * otherwise (or if the checkpoint has expired) by paging through the time window
+ * @param {Object} options - Fetch options
+ * @param {Object} options.config - Saved settings
+ * @param {number} options.timePeriod - Days to look back for a windowed scan
+ * @param {number} options.limit - Maximum number of unscanned emails to return
+ * @param {Set} options.scannedIds - Already scanned message IDs
+ * @param {Function} options.sendProgress - Progress callback
+ * @returns {Promise<Object>} {emails, listedCount, alreadyScanned, complete, historyId}
+ */
+async function fetchUnscannedEmails({ config, timePeriod, limit, scannedIds, sendProgress }) {
+  let listedCount = 0;
+  let alreadyScanned = 0;
+  const onPage = ({ page, listed, excluded, found }) => {
+    listedCount = listed;
+    alreadyScanned = excluded;
+    sendProgress(`Page ${page}: ${listed} emails listed, ${excluded} already scanned, ${found} of ${limit} new emails found...`);
+  };
+
+  const startHistoryId = config.incrementalSync ? config.lastHistoryId : null;
+
+  if (startHistoryId) {
+    sendProgress('Checking Gmail for new emails since the last sync...');
+    const result = await gmailClient.fetchEmailsSinceHistory(startHistoryId, {
+      maxResults: limit,
+      excludeIds: scannedIds,
+      onPage
+    });
+
+    if (result) {
+      return {
+        emails: result.emails,
+        listedCount,
+        alreadyScanned,
+        complete: result.complete,
+        historyId: result.historyId
+      };
+    }
+
+    sendProgress('Sync checkpoint expired. Falling back to a full scan of the time period...');
+    listedCount = 0;
+    alreadyScanned = 0;
+  }
+
+  // Capture the history ID before listing so mail arriving mid-scan is picked up next time
+  const profile = await gmailClient.getProfile();
+
+  // Page through the time window until enough unscanned emails are found
+  const emails = await gmailClient.fetchEmails({
+    timePeriod,
+    maxResults: limit,
+    checkpoint: null, // Don't use checkpoint for filtering, we'll filter by scanned IDs instead
+    excludeIds: scannedIds,
+    onPage
+  });
+
+  return {
+    emails,
+    listedCount,
+    alreadyScanned,
+    // Reaching the limit may leave unscanned emails in the window, so keep scanning it next time
+    complete: emails.length < limit,
+    historyId: profile.historyId
+  };
+}
+
+/**
+ * Save the history checkpoint reached by a fetch, unless emails were left unprocessed
+ * @param {Object} fetchResult - Result from fetchUnscannedEmails
+ * @param {boolean} stopped - Whether processing was stopped before finishing
+ * @returns {Promise<void>}
+ */
+async function saveHistoryCheckpoint(fetchResult, stopped) {
+  if (fetchResult.complete && !stopped && fetchResult.historyId) {
+    await configManager.updateHistoryCheckpoint(fetchResult.historyId);
   }
 }
 
@@ -295,6 +687,208 @@ async function handleOpenCSV(sendResponse) {
   }
 }
 
+/**
+ * List the models a provider offers, using its saved API key
+ * @param {string} provider - Provider name
+ * @param {Function} sendResponse - Response callback
+ */
+async function handleListModels(provider, sendResponse) {
+  try {
+    const config = await configManager.getSettings();
+    if (!configManager.isProviderConfigured(config, provider)) {
+      throw new Error(provider === 'custom'
+        ? 'Set the custom provider\'s base URL and model under Advanced Settings first'
+        : `Enter an API key for ${provider.toUpperCase()} first`);
+    }
+    if (provider === 'custom' && !(await hasCustomProviderAccess(config))) {
+      throw new Error('The extension has no access to the custom provider URL. Save it under Advanced Settings to grant it.');
+    }
+
+    const aiProvider = new AIProvider(provider, (config[`${provider}Key`] || '').trim(), {
+      custom: configManager.getCustomProviderOptions(config)
+    });
+    const models = await aiProvider.listModels();
+    sendResponse({ success: true, models });
+  } catch (error) {
+    console.error('Error listing models:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Preview or test a prompt template against one email, for the prompt editor
+ * The test uses the active provider and its models, without fallbacks or the cache.
+ * @param {string} name - Template name
+ * @param {string} template - Template text, possibly unsaved
+ * @param {Object} email - {subject, from, body}
+ * @param {boolean} run - Send the prompt to the AI (false only builds it)
+ * @param {Function} sendResponse - Response callback
+ */
+async function handleTestPrompt(name, template, email, run, sendResponse) {
+  try {
+    const config = await configManager.getSettings();
+    const provider = config.activeProvider;
+    const aiProvider = new AIProvider(provider, (config[`${provider}Key`] || '').trim(), {
+      prices: config.modelPrices,
+      custom: configManager.getCustomProviderOptions(config),
+      promptTemplates: config.promptTemplates,
+      examples: await exampleStore.getExamples(),
+      ...configManager.getModelOptions(config)
+    });
+
+    if (!run) {
+      sendResponse({ success: true, prompt: aiProvider.buildPrompt(name, email, template) });
+      return;
+    }
+
+    if (!configManager.isProviderConfigured(config, provider)) {
+      throw new Error(provider === 'custom'
+        ? 'Set the custom provider\'s base URL and model under Advanced Settings first'
+        : `Enter an API key for ${provider.toUpperCase()} first`);
+    }
+    if (provider === 'custom' && !(await hasCustomProviderAccess(config))) {
+      throw new Error('The extension has no access to the custom provider URL. Save it under Advanced Settings to grant it.');
+    }
+
+    const test = await aiProvider.testPrompt(name, email, template);
+    await usageTracker.addRun(aiProvider.getUsage());
+    sendResponse({ success: true, ...test });
+  } catch (error) {
+    console.error('Error testing prompt:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Apply a decision on an email from the review queue
+ * Approving writes the suggested record; a correction writes it with the corrected fields, which
+ * are flagged as manual so later scans don't overwrite them; rejecting means it is not about an
+ * application. Every decision marks the email as scanned, and corrections and rejections are
+ * kept as labeled examples for later prompts.
+ * @param {string} messageId - Message ID of the queued email
+ * @param {string} decision - 'approve', 'correct' or 'reject'
+ * @param {Object} changes - Corrected {status, company, position}, where status 'not_job' rejects it
+ * @param {Function} sendResponse - Response callback
+ */
+async function handleResolveReviewItem(messageId, decision, changes, sendResponse) {
+  try {
+    const item = (await reviewQueue.getItems()).find(entry => entry.message_id === messageId);
+    if (!item) {
+      throw new Error('This email is no longer in the review queue');
+    }
+
+    let record = decision === 'reject' ? null : { ...item.record };
+    if (record && decision === 'correct') {
+      const corrected = {
+        status: changes.status === 'not_job' ? null : changes.status,
+        company: (changes.company || '').trim() || null,
+        position: (changes.position || '').trim() || null
+      };
+      const manualFields = Object.keys(corrected).filter(field => corrected[field] !== record[field]);
+      record = { ...record, ...corrected, manual_fields: manualFields };
+    }
+
+    // A "not a job email" suggestion that is approved has nothing to write
+    if (record && !record.status) {
+      record = null;
+    }
+    if (record && !ApplicationStatus.isValid(record.status)) {
+      throw new Error('Choose a status');
+    }
+    if (record && !record.company) {
+      throw new Error('Enter the company before saving this application');
+    }
+
+    let result = { added: 0, updated: 0 };
+    if (record) {
+      record.processed_timestamp = new Date().toISOString();
+      result = await csvManager.upsertRecords([record]);
+    }
+
+    if (decision !== 'approve') {
+      await exampleStore.add({
+        id: messageId,
+        subject: item.email_title,
+        from: item.email_from,
+        snippet: item.snippet,
+        label: record ? record.status : 'not_job',
+        company: record && record.company,
+        position: record && record.position,
+        source: 'review'
+      });
+    }
+
+    await scannedTracker.markAsScanned([messageId]);
+    await reviewQueue.remove(messageId);
+    sendResponse({ success: true, added: result.added, updated: result.updated });
+  } catch (error) {
+    console.error('Error resolving review item:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Handle adding an application that has no confirmation email
+ * @param {Object} entry - {company, position, status, email_date}
+ * @param {Function} sendResponse - Response callback
+ */
+async function handleAddManualRecord(entry, sendResponse) {
+  try {
+    const result = await csvManager.addManualRecord(entry);
+    sendResponse({ success: true, ...result });
+  } catch (error) {
+    console.error('Error adding manual record:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Handle a manual correction to one application
+ * @param {string} messageId - Application message_id
+ * @param {Object} changes - Field values to set
+ * @param {Function} sendResponse - Response callback
+ */
+async function handleUpdateRecord(messageId, changes, sendResponse) {
+  try {
+    const record = await csvManager.updateRecord(messageId, changes);
+    sendResponse({ success: true, record });
+  } catch (error) {
+    console.error('Error updating record:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Handle deleting applications
+ * @param {Array<string>} messageIds - Application message_ids
+ * @param {Function} sendResponse - Response callback
+ */
+async function handleDeleteRecords(messageIds, sendResponse) {
+  try {
+    const result = await csvManager.deleteRecords(messageIds);
+    sendResponse({ success: true, ...result });
+  } catch (error) {
+    console.error('Error deleting records:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Handle merging duplicate applications
+ * @param {string} primaryId - message_id of the application to keep
+ * @param {Array<string>} otherIds - message_ids to merge into it
+ * @param {Function} sendResponse - Response callback
+ */
+async function handleMergeRecords(primaryId, otherIds, sendResponse) {
+  try {
+    const record = await csvManager.mergeRecords(primaryId, otherIds);
+    sendResponse({ success: true, record });
+  } catch (error) {
+    console.error('Error merging records:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
 // Extension installation handler
 chrome.runtime.onInstalled.addListener((details) => {
   if (details.reason === 'install') {
@@ -303,10 +897,14 @@ chrome.runtime.onInstalled.addListener((details) => {
     configManager.saveSettings(configManager.defaultSettings);
   } else if (details.reason === 'update') {
     console.log('Extension updated');
+    // Alarms are not guaranteed to survive an update, so re-register the schedule
+    configManager.getSettings().then(config => scanScheduler.applySchedule(config));
   }
 });
 
 // Keep service worker alive
 chrome.runtime.onStartup.addListener(() => {
   console.log('Extension started');
+  configManager.getSettings().then(config => scanScheduler.applySchedule(config));
+  notifier.restoreBadge();
 });
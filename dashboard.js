@@ -0,0 +1,567 @@
+// Dashboard - Full-page view of every tracked application with sort, filter, search and pagination
+
+const csvManager = new CSVManager();
+
+// UI Elements
+const elements = {
+  recordCount: document.getElementById('record-count'),
+  downloadCsvBtn: document.getElementById('download-csv-btn'),
+  addApplicationBtn: document.getElementById('add-application-btn'),
+  addApplicationForm: document.getElementById('add-application-form'),
+  addCompany: document.getElementById('add-company'),
+  addPosition: document.getElementById('add-position'),
+  addStatus: document.getElementById('add-status'),
+  addDate: document.getElementById('add-date'),
+  saveApplicationBtn: document.getElementById('save-application-btn'),
+  cancelApplicationBtn: document.getElementById('cancel-application-btn'),
+  searchInput: document.getElementById('search-input'),
+  statusFilter: document.getElementById('status-filter'),
+  dateFrom: document.getElementById('date-from'),
+  dateTo: document.getElementById('date-to'),
+  clearFiltersBtn: document.getElementById('clear-filters-btn'),
+  statusSummary: document.getElementById('status-summary'),
+  tableHeader: document.getElementById('table-header'),
+  tableBody: document.getElementById('table-body'),
+  emptyMessage: document.getElementById('empty-message'),
+  selectionInfo: document.getElementById('selection-info'),
+  mergeSelectedBtn: document.getElementById('merge-selected-btn'),
+  deleteSelectedBtn: document.getElementById('delete-selected-btn'),
+  pageSize: document.getElementById('page-size'),
+  prevPageBtn: document.getElementById('prev-page-btn'),
+  nextPageBtn: document.getElementById('next-page-btn'),
+  pageInfo: document.getElementById('page-info')
+};
+
+// Table columns: key is the row field used for sorting (null for unsortable columns)
+const columns = [
+  { key: null, label: '' }, // Selection checkbox
+  { key: 'emailTime', label: 'Applied' },
+  { key: 'company', label: 'Company' },
+  { key: 'position', label: 'Position' },
+  { key: 'statusOrder', label: 'Status' },
+  { key: 'statusTime', label: 'Last Update' },
+  { key: 'subject', label: 'Subject' },
+  { key: 'emailCount', label: 'Emails' },
+  { key: null, label: 'Actions' }
+];
+
+// View state
+const state = {
+  rows: [], // All applications, wrapped with precomputed sort/search values
+  filteredRows: [],
+  sortKey: 'emailTime',
+  sortDirection: 'desc',
+  page: 1,
+  selectedIds: new Set(),
+  editingId: null // message_id of the row being edited inline
+};
+
+document.addEventListener('DOMContentLoaded', async () => {
+  chrome.runtime.sendMessage({ action: 'markRecordsSeen' }); // Viewing the dashboard clears the badge
+  populateStatusFilter();
+  renderHeader();
+  await loadRecords();
+});
+
+// Reload when a scan (or another page) changes the records
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes.csvRecords) {
+    loadRecords();
+  }
+});
+
+// Load records and precompute the values used for sorting and searching
+async function loadRecords() {
+  const records = await csvManager.readCSV();
+  const statusOrder = ApplicationStatus.all;
+
+  state.rows = records.map(record => {
+    const subjects = (record.events || []).map(event => event.subject);
+    return {
+      record,
+      company: (record.company || '').toLowerCase(),
+      position: (record.position || '').toLowerCase(),
+      subject: (record.email_title || '').toLowerCase(),
+      emailTime: new Date(record.email_date).getTime() || 0,
+      statusTime: new Date(record.status_date || record.email_date).getTime() || 0,
+      statusOrder: statusOrder.indexOf(record.status),
+      emailCount: (record.related_message_ids || []).length,
+      searchText: [record.company, record.position, record.email_title, ...subjects]
+        .filter(Boolean)
+        .join(' ')
+        .toLowerCase()
+    };
+  });
+
+  // Drop selections for records that no longer exist (deleted or merged)
+  const existingIds = new Set(records.map(record => record.message_id));
+  state.selectedIds = new Set([...state.selectedIds].filter(id => existingIds.has(id)));
+
+  elements.recordCount.textContent = `${state.rows.length} applications`;
+  applyFilters({ resetPage: false });
+}
+
+// Fill the status filter and the manual entry status select from the known statuses
+function populateStatusFilter() {
+  ApplicationStatus.all.forEach(status => {
+    [elements.statusFilter, elements.addStatus].forEach(select => {
+      const option = document.createElement('option');
+      option.value = status;
+      option.textContent = ApplicationStatus.getLabel(status);
+      select.appendChild(option);
+    });
+  });
+}
+
+// Build sortable column headers
+function renderHeader() {
+  elements.tableHeader.innerHTML = '';
+
+  columns.forEach((column, index) => {
+    const th = document.createElement('th');
+    th.textContent = column.label;
+
+    if (!column.key) {
+      th.className = 'not-sortable';
+      if (index === 0) {
+        th.appendChild(buildSelectAllCheckbox());
+      }
+      elements.tableHeader.appendChild(th);
+      return;
+    }
+
+    if (column.key === state.sortKey) {
+      th.className = state.sortDirection === 'asc' ? 'sorted-asc' : 'sorted-desc';
+    }
+
+    th.addEventListener('click', () => {
+      if (state.sortKey === column.key) {
+        state.sortDirection = state.sortDirection === 'asc' ? 'desc' : 'asc';
+      } else {
+        state.sortKey = column.key;
+        state.sortDirection = 'asc';
+      }
+      renderHeader();
+      sortRows();
+      state.page = 1;
+      renderTable();
+    });
+
+    elements.tableHeader.appendChild(th);
+  });
+}
+
+// Checkbox that selects or clears every row on the current page
+function buildSelectAllCheckbox() {
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.id = 'select-all-checkbox';
+  checkbox.title = 'Select all on this page';
+  checkbox.addEventListener('change', () => {
+    getPageRows().forEach(row => {
+      if (checkbox.checked) {
+        state.selectedIds.add(row.record.message_id);
+      } else {
+        state.selectedIds.delete(row.record.message_id);
+      }
+    });
+    renderTable();
+  });
+  return checkbox;
+}
+
+// Apply search, status and date filters, then sort and render
+// Filter changes start from the first page; reloads after an edit keep the current page
+function applyFilters({ resetPage = true } = {}) {
+  const query = elements.searchInput.value.trim().toLowerCase();
+  const status = elements.statusFilter.value;
+  const fromTime = elements.dateFrom.value ? new Date(`${elements.dateFrom.value}T00:00:00`).getTime() : null;
+  const toTime = elements.dateTo.value ? new Date(`${elements.dateTo.value}T23:59:59.999`).getTime() : null;
+
+  state.filteredRows = state.rows.filter(row => {
+    if (query && !row.searchText.includes(query)) return false;
+    if (status && row.record.status !== status) return false;
+    if (fromTime !== null && row.emailTime < fromTime) return false;
+    if (toTime !== null && row.emailTime > toTime) return false;
+    return true;
+  });
+
+  sortRows();
+  if (resetPage) {
+    state.page = 1;
+  }
+  renderStatusSummary();
+  renderTable();
+}
+
+// Sort filtered rows by the active column
+function sortRows() {
+  const key = state.sortKey;
+  const direction = state.sortDirection === 'asc' ? 1 : -1;
+
+  state.filteredRows.sort((a, b) => {
+    const valueA = a[key];
+    const valueB = b[key];
+    if (typeof valueA === 'string') {
+      return valueA.localeCompare(valueB) * direction;
+    }
+    return (valueA - valueB) * direction;
+  });
+}
+
+// Show how many filtered applications are in each status
+function renderStatusSummary() {
+  const counts = {};
+  state.filteredRows.forEach(row => {
+    counts[row.record.status] = (counts[row.record.status] || 0) + 1;
+  });
+
+  elements.statusSummary.innerHTML = '';
+  ApplicationStatus.all.forEach(status => {
+    if (!counts[status]) return;
+    const chip = document.createElement('span');
+    chip.className = `status-chip status-${status}`;
+    chip.textContent = `${ApplicationStatus.getLabel(status)}: ${counts[status]}`;
+    elements.statusSummary.appendChild(chip);
+  });
+}
+
+// Get the filtered rows on the current page
+function getPageRows() {
+  const pageSize = parseInt(elements.pageSize.value);
+  const start = (state.page - 1) * pageSize;
+  return state.filteredRows.slice(start, start + pageSize);
+}
+
+// Render the current page of rows
+function renderTable() {
+  const pageSize = parseInt(elements.pageSize.value);
+  const total = state.filteredRows.length;
+  const totalPages = Math.max(1, Math.ceil(total / pageSize));
+  state.page = Math.min(state.page, totalPages);
+
+  const start = (state.page - 1) * pageSize;
+  const pageRows = getPageRows();
+
+  // Build rows off-DOM so large pages render in one reflow
+  const fragment = document.createDocumentFragment();
+  pageRows.forEach(row => fragment.appendChild(buildRow(row.record)));
+
+  elements.tableBody.innerHTML = '';
+  elements.tableBody.appendChild(fragment);
+
+  elements.emptyMessage.style.display = total === 0 ? 'block' : 'none';
+  elements.pageInfo.textContent = total === 0
+    ? 'No results'
+    : `${start + 1}–${start + pageRows.length} of ${total} (page ${state.page} of ${totalPages})`;
+  elements.prevPageBtn.disabled = state.page <= 1;
+  elements.nextPageBtn.disabled = state.page >= totalPages;
+
+  const selectAll = document.getElementById('select-all-checkbox');
+  selectAll.checked = pageRows.length > 0 && pageRows.every(row => state.selectedIds.has(row.record.message_id));
+  renderSelectionInfo();
+}
+
+// Update the selection count and bulk action buttons
+function renderSelectionInfo() {
+  const count = state.selectedIds.size;
+  elements.selectionInfo.textContent = count === 0
+    ? 'No applications selected'
+    : `${count} application${count === 1 ? '' : 's'} selected`;
+  elements.mergeSelectedBtn.disabled = count < 2;
+  elements.deleteSelectedBtn.disabled = count === 0;
+}
+
+// Build a table row for one application
+function buildRow(record) {
+  if (record.message_id === state.editingId) {
+    return buildEditRow(record);
+  }
+
+  const tr = document.createElement('tr');
+  const manualFields = record.manual_fields || [];
+
+  const addCell = (text, className) => {
+    const td = document.createElement('td');
+    td.textContent = text;
+    if (className) td.className = className;
+    tr.appendChild(td);
+    return td;
+  };
+
+  // Flag fields the user corrected by hand
+  const manualClass = (field) => manualFields.includes(field) ? 'manual-field' : '';
+
+  tr.appendChild(buildSelectCell(record));
+  addCell(formatDate(record.email_date));
+  addCell(record.company || '-', manualClass('company'));
+  addCell(record.position || '-', manualClass('position'));
+
+  const statusCell = addCell('', manualClass('status'));
+  const badge = document.createElement('span');
+  badge.className = `status-badge status-${record.status}`;
+  badge.textContent = ApplicationStatus.getLabel(record.status);
+  statusCell.appendChild(badge);
+
+  addCell(formatDate(record.status_date || record.email_date));
+  // Manual entries have no subject until an email is attached
+  const subjectText = record.email_title || (record.source === 'manual' ? 'Added manually' : '-');
+  const subjectCell = addCell(subjectText, record.email_title ? 'cell-subject' : 'cell-subject manual-entry');
+  subjectCell.title = record.email_title || '';
+  addCell(String((record.related_message_ids || []).length));
+
+  const actionsCell = addCell('', 'row-actions');
+  actionsCell.appendChild(buildButton('Edit', 'btn-secondary', () => {
+    state.editingId = record.message_id;
+    renderTable();
+  }));
+  actionsCell.appendChild(buildButton('Delete', 'btn-danger', () => deleteRecords([record.message_id])));
+
+  return tr;
+}
+
+// Build a row with inputs for editing company, position and status
+function buildEditRow(record) {
+  const tr = document.createElement('tr');
+
+  const addCell = (child) => {
+    const td = document.createElement('td');
+    if (typeof child === 'string') {
+      td.textContent = child;
+    } else if (child) {
+      td.appendChild(child);
+    }
+    tr.appendChild(td);
+    return td;
+  };
+
+  const buildInput = (value) => {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'edit-input';
+    input.value = value || '';
+    return input;
+  };
+
+  const companyInput = buildInput(record.company);
+  const positionInput = buildInput(record.position);
+  const statusSelect = document.createElement('select');
+  statusSelect.className = 'edit-input';
+  ApplicationStatus.all.forEach(status => {
+    const option = document.createElement('option');
+    option.value = status;
+    option.textContent = ApplicationStatus.getLabel(status);
+    statusSelect.appendChild(option);
+  });
+  statusSelect.value = record.status;
+
+  tr.appendChild(buildSelectCell(record));
+  addCell(formatDate(record.email_date));
+  addCell(companyInput);
+  addCell(positionInput);
+  addCell(statusSelect);
+  addCell(formatDate(record.status_date || record.email_date));
+  addCell(record.email_title || '-').className = 'cell-subject';
+  addCell(String((record.related_message_ids || []).length));
+
+  const actionsCell = addCell(null);
+  actionsCell.className = 'row-actions';
+  actionsCell.appendChild(buildButton('Save', 'btn-primary', async () => {
+    // Only send fields that actually changed so untouched fields aren't flagged as manual
+    const changes = {};
+    if (companyInput.value.trim() !== (record.company || '')) changes.company = companyInput.value;
+    if (positionInput.value.trim() !== (record.position || '')) changes.position = positionInput.value;
+    if (statusSelect.value !== record.status) changes.status = statusSelect.value;
+
+    state.editingId = null;
+    if (Object.keys(changes).length === 0) {
+      renderTable();
+      return;
+    }
+
+    const response = await chrome.runtime.sendMessage({ action: 'updateRecord', messageId: record.message_id, changes });
+    if (!response.success) {
+      alert('Failed to save changes: ' + response.error);
+      renderTable();
+    }
+  }));
+  actionsCell.appendChild(buildButton('Cancel', 'btn-secondary', () => {
+    state.editingId = null;
+    renderTable();
+  }));
+
+  return tr;
+}
+
+// Build the row selection checkbox cell
+function buildSelectCell(record) {
+  const td = document.createElement('td');
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.checked = state.selectedIds.has(record.message_id);
+  checkbox.addEventListener('change', () => {
+    if (checkbox.checked) {
+      state.selectedIds.add(record.message_id);
+    } else {
+      state.selectedIds.delete(record.message_id);
+    }
+    renderSelectionInfo();
+  });
+  td.appendChild(checkbox);
+  return td;
+}
+
+// Build a small action button
+function buildButton(label, styleClass, onClick) {
+  const button = document.createElement('button');
+  button.className = `btn btn-small ${styleClass}`;
+  button.textContent = label;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+// Delete applications after confirmation
+async function deleteRecords(messageIds) {
+  const count = messageIds.length;
+  if (!confirm(`Delete ${count} application${count === 1 ? '' : 's'}? Their emails stay in scan history and won't be re-added by later scans.`)) {
+    return;
+  }
+
+  const response = await chrome.runtime.sendMessage({ action: 'deleteRecords', messageIds });
+  if (!response.success) {
+    alert('Failed to delete: ' + response.error);
+  }
+}
+
+// Format an ISO date for display
+function formatDate(isoDate) {
+  if (!isoDate) return '-';
+  const date = new Date(isoDate);
+  return isNaN(date.getTime()) ? '-' : date.toLocaleDateString();
+}
+
+// Debounce search typing so large tables don't refilter on every keystroke
+let searchTimer = null;
+elements.searchInput.addEventListener('input', () => {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(applyFilters, 150);
+});
+
+elements.statusFilter.addEventListener('change', applyFilters);
+elements.dateFrom.addEventListener('change', applyFilters);
+elements.dateTo.addEventListener('change', applyFilters);
+
+elements.clearFiltersBtn.addEventListener('click', () => {
+  elements.searchInput.value = '';
+  elements.statusFilter.value = '';
+  elements.dateFrom.value = '';
+  elements.dateTo.value = '';
+  applyFilters();
+});
+
+elements.deleteSelectedBtn.addEventListener('click', () => {
+  deleteRecords([...state.selectedIds]);
+});
+
+// Merge selected applications into the earliest one
+elements.mergeSelectedBtn.addEventListener('click', async () => {
+  const selected = state.rows
+    .filter(row => state.selectedIds.has(row.record.message_id))
+    .sort((a, b) => a.emailTime - b.emailTime)
+    .map(row => row.record);
+
+  if (selected.length < 2) return;
+
+  const primary = selected[0];
+  const others = selected.slice(1);
+  const primaryLabel = `${primary.company || 'Unknown company'}${primary.position ? ` – ${primary.position}` : ''}`;
+  if (!confirm(`Merge ${others.length} application${others.length === 1 ? '' : 's'} into "${primaryLabel}" (${formatDate(primary.email_date)})? Their emails and status history will be combined.`)) {
+    return;
+  }
+
+  const response = await chrome.runtime.sendMessage({
+    action: 'mergeRecords',
+    primaryId: primary.message_id,
+    otherIds: others.map(record => record.message_id)
+  });
+
+  if (response.success) {
+    state.selectedIds.clear();
+  } else {
+    alert('Failed to merge: ' + response.error);
+  }
+});
+
+// Manual entry form
+function resetAddForm() {
+  elements.addCompany.value = '';
+  elements.addPosition.value = '';
+  elements.addStatus.value = ApplicationStatus.APPLIED;
+  elements.addDate.value = new Date().toLocaleDateString('en-CA'); // YYYY-MM-DD in local time
+}
+
+elements.addApplicationBtn.addEventListener('click', () => {
+  resetAddForm();
+  elements.addApplicationForm.style.display = 'flex';
+  elements.addCompany.focus();
+});
+
+elements.cancelApplicationBtn.addEventListener('click', () => {
+  elements.addApplicationForm.style.display = 'none';
+});
+
+elements.saveApplicationBtn.addEventListener('click', async () => {
+  const company = elements.addCompany.value.trim();
+  if (!company) {
+    alert('Please enter a company');
+    elements.addCompany.focus();
+    return;
+  }
+
+  const entry = {
+    company,
+    position: elements.addPosition.value,
+    status: elements.addStatus.value,
+    // Noon local time so the date doesn't shift across time zones
+    email_date: elements.addDate.value ? new Date(`${elements.addDate.value}T12:00:00`).toISOString() : null
+  };
+
+  const response = await chrome.runtime.sendMessage({ action: 'addManualRecord', entry });
+  if (!response.success) {
+    alert('Failed to add application: ' + response.error);
+    return;
+  }
+  if (!response.added) {
+    alert(`This application is already tracked (added ${formatDate(response.duplicate.email_date)}).`);
+    return;
+  }
+
+  elements.addApplicationForm.style.display = 'none';
+});
+
+elements.pageSize.addEventListener('change', () => {
+  state.page = 1;
+  renderTable();
+});
+
+elements.prevPageBtn.addEventListener('click', () => {
+  state.page--;
+  renderTable();
+});
+
+elements.nextPageBtn.addEventListener('click', () => {
+  state.page++;
+  renderTable();
+});
+
+// Download CSV through the background worker (same path as the popup)
+elements.downloadCsvBtn.addEventListener('click', async () => {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'openCSV' });
+    if (!response.success) {
+      alert('Failed to download CSV: ' + response.error);
+    }
+  } catch (error) {
+    alert('Error downloading CSV: ' + error.message);
+  }
+});
@@ -0,0 +1,112 @@
+// Labeled Examples - View and prune the corrections used as few-shot examples in AI prompts
+
+// UI Elements
+const elements = {
+  examplesSummary: document.getElementById('examples-summary'),
+  examplesTableBody: document.getElementById('examples-table-body'),
+  selectAll: document.getElementById('select-all'),
+  deleteSelectedBtn: document.getElementById('delete-selected-btn'),
+  clearExamplesBtn: document.getElementById('clear-examples-btn'),
+  examplesMessage: document.getElementById('examples-message')
+};
+
+let examples = [];
+
+document.addEventListener('DOMContentLoaded', loadExamples);
+
+// Load and render the examples
+async function loadExamples() {
+  const response = await chrome.runtime.sendMessage({ action: 'getExamples' });
+  if (!response.success) {
+    showMessage(elements.examplesMessage, response.error, true);
+    return;
+  }
+
+  examples = response.examples;
+  elements.examplesSummary.textContent = examples.length === 0
+    ? 'No examples yet.'
+    : `${examples.length} example${examples.length === 1 ? '' : 's'}.`;
+  elements.selectAll.checked = false;
+
+  elements.examplesTableBody.innerHTML = '';
+  examples.forEach(example => elements.examplesTableBody.appendChild(buildRow(example)));
+}
+
+function showMessage(element, text, isError = false) {
+  element.textContent = text;
+  element.className = isError ? 'form-message error' : 'form-message success';
+}
+
+// Build the table row for one example
+function buildRow(example) {
+  const row = document.createElement('tr');
+
+  const checkCell = document.createElement('td');
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.value = example.id;
+  checkCell.appendChild(checkbox);
+  row.appendChild(checkCell);
+
+  const emailCell = document.createElement('td');
+  const subject = document.createElement('strong');
+  subject.textContent = example.subject || '(no subject)';
+  emailCell.appendChild(subject);
+  emailCell.appendChild(document.createElement('br'));
+  emailCell.appendChild(document.createTextNode(example.from));
+  emailCell.title = example.snippet;
+  row.appendChild(emailCell);
+
+  const values = [
+    example.label === 'not_job' ? 'Not a job email' : ApplicationStatus.getLabel(example.label),
+    [example.company, example.position].filter(Boolean).join(' / ') || '-',
+    example.source === 'review' ? 'Review queue' : 'Run details',
+    new Date(example.created).toLocaleDateString()
+  ];
+  values.forEach(value => {
+    const cell = document.createElement('td');
+    cell.textContent = value;
+    row.appendChild(cell);
+  });
+
+  return row;
+}
+
+function getSelectedIds() {
+  return Array.from(elements.examplesTableBody.querySelectorAll('input[type="checkbox"]:checked'))
+    .map(checkbox => checkbox.value);
+}
+
+async function deleteExamples(ids) {
+  const response = await chrome.runtime.sendMessage({ action: 'deleteExamples', ids });
+  if (!response.success) {
+    showMessage(elements.examplesMessage, response.error, true);
+    return;
+  }
+
+  showMessage(elements.examplesMessage, `Deleted ${response.deleted} example${response.deleted === 1 ? '' : 's'}.`);
+  await loadExamples();
+}
+
+elements.selectAll.addEventListener('change', () => {
+  elements.examplesTableBody.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+    checkbox.checked = elements.selectAll.checked;
+  });
+});
+
+elements.deleteSelectedBtn.addEventListener('click', async () => {
+  const ids = getSelectedIds();
+  if (ids.length === 0) {
+    showMessage(elements.examplesMessage, 'Select the examples to delete first.', true);
+    return;
+  }
+  await deleteExamples(ids);
+});
+
+elements.clearExamplesBtn.addEventListener('click', async () => {
+  if (examples.length === 0) return;
+  if (!confirm(`Delete all ${examples.length} examples? Prompts will no longer include any of your corrections.`)) {
+    return;
+  }
+  await deleteExamples(examples.map(example => example.id));
+});
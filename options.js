@@ -0,0 +1,431 @@
+// Advanced Settings - Settings that need more room than the popup
+
+const configManager = new ConfigManager();
+const ruleClassifier = new RuleClassifier();
+const companyNormalizer = new CompanyNormalizer();
+
+// UI Elements
+const elements = {
+  ruleClassifierEnabled: document.getElementById('rule-classifier-enabled'),
+  classificationRules: document.getElementById('classification-rules'),
+  ruleStatuses: document.getElementById('rule-statuses'),
+  saveRulesBtn: document.getElementById('save-rules-btn'),
+  rulesMessage: document.getElementById('rules-message'),
+  templateExtractionEnabled: document.getElementById('template-extraction-enabled'),
+  reviewThreshold: document.getElementById('review-threshold'),
+  reviewCount: document.getElementById('review-count'),
+  saveReviewBtn: document.getElementById('save-review-btn'),
+  reviewMessage: document.getElementById('review-message'),
+  companyAliases: document.getElementById('company-aliases'),
+  saveAliasesBtn: document.getElementById('save-aliases-btn'),
+  normalizeCompaniesBtn: document.getElementById('normalize-companies-btn'),
+  aliasesMessage: document.getElementById('aliases-message'),
+  customBaseUrl: document.getElementById('custom-base-url'),
+  customModel: document.getElementById('custom-model'),
+  customKey: document.getElementById('custom-key'),
+  customTimeout: document.getElementById('custom-timeout'),
+  saveCustomBtn: document.getElementById('save-custom-btn'),
+  customMessage: document.getElementById('custom-message'),
+  fallbackSelects: document.querySelectorAll('.fallback-provider'),
+  saveFallbackBtn: document.getElementById('save-fallback-btn'),
+  fallbackMessage: document.getElementById('fallback-message'),
+  batchSizeInputs: document.querySelectorAll('.batch-size'),
+  saveBatchBtn: document.getElementById('save-batch-btn'),
+  batchMessage: document.getElementById('batch-message'),
+  aiCacheEnabled: document.getElementById('ai-cache-enabled'),
+  bypassAICache: document.getElementById('bypass-ai-cache'),
+  aiCacheMaxEntries: document.getElementById('ai-cache-max-entries'),
+  aiCacheCount: document.getElementById('ai-cache-count'),
+  saveCacheBtn: document.getElementById('save-cache-btn'),
+  clearCacheBtn: document.getElementById('clear-cache-btn'),
+  cacheMessage: document.getElementById('cache-message'),
+  usageSince: document.getElementById('usage-since'),
+  usageTableBody: document.getElementById('usage-table-body'),
+  usageToday: document.getElementById('usage-today'),
+  resetUsageBtn: document.getElementById('reset-usage-btn'),
+  priceTableBody: document.getElementById('price-table-body'),
+  addPriceBtn: document.getElementById('add-price-btn'),
+  savePricesBtn: document.getElementById('save-prices-btn'),
+  pricesMessage: document.getElementById('prices-message'),
+  budgetInputs: document.querySelectorAll('.budget-input'),
+  saveBudgetBtn: document.getElementById('save-budget-btn'),
+  budgetMessage: document.getElementById('budget-message')
+};
+
+const {
+  batchSizes: defaultBatchSizes,
+  reviewConfidenceThreshold: defaultReviewThreshold,
+  modelPrices: defaultModelPrices
+} = configManager.defaultSettings;
+
+document.addEventListener('DOMContentLoaded', async () => {
+  elements.ruleStatuses.textContent = ApplicationStatus.all.join(', ');
+  await loadUsage();
+  await loadBudget();
+  await loadPrices();
+  await loadRules();
+  await loadTemplateSettings();
+  await loadReviewSettings();
+  await loadCompanyAliases();
+  await loadCustomProvider();
+  await loadFallbackOrder();
+  await loadBatchSizes();
+  await loadCacheSettings();
+});
+
+// Load classification rule settings
+async function loadRules() {
+  const settings = await chrome.storage.local.get(['ruleClassifierEnabled', 'classificationRules']);
+  elements.ruleClassifierEnabled.checked = settings.ruleClassifierEnabled !== false;
+  elements.classificationRules.value = ruleClassifier.formatRules(settings.classificationRules);
+}
+
+// Load template extraction setting
+async function loadTemplateSettings() {
+  const settings = await chrome.storage.local.get('templateExtractionEnabled');
+  elements.templateExtractionEnabled.checked = settings.templateExtractionEnabled !== false;
+}
+
+// Load the review threshold (stored as 0-1, shown as a percentage) and the queue size
+async function loadReviewSettings() {
+  const { reviewConfidenceThreshold, reviewQueue } = await chrome.storage.local.get(['reviewConfidenceThreshold', 'reviewQueue']);
+  const threshold = reviewConfidenceThreshold === undefined ? defaultReviewThreshold : reviewConfidenceThreshold;
+  elements.reviewThreshold.value = Math.round(threshold * 100);
+  elements.reviewCount.textContent = (reviewQueue || []).length;
+}
+
+// Load the company alias table
+async function loadCompanyAliases() {
+  const { companyAliases } = await chrome.storage.local.get('companyAliases');
+  elements.companyAliases.value = companyNormalizer.formatAliases(companyAliases);
+}
+
+// Load the custom OpenAI-compatible provider
+async function loadCustomProvider() {
+  const settings = await configManager.getSettings();
+  elements.customBaseUrl.value = settings.customBaseUrl;
+  elements.customModel.value = settings.customModel;
+  elements.customKey.value = settings.customKey;
+  elements.customTimeout.value = settings.customTimeoutSeconds;
+}
+
+// Load the provider fallback order
+async function loadFallbackOrder() {
+  const { providerFallbackOrder } = await chrome.storage.local.get('providerFallbackOrder');
+  elements.fallbackSelects.forEach((select, index) => {
+    select.value = (providerFallbackOrder || [])[index] || '';
+  });
+}
+
+// Load per-provider batch sizes
+async function loadBatchSizes() {
+  const { batchSizes } = await chrome.storage.local.get('batchSizes');
+  const sizes = { ...defaultBatchSizes, ...batchSizes };
+  elements.batchSizeInputs.forEach(input => {
+    input.value = sizes[input.dataset.provider];
+  });
+}
+
+// Load cache settings and the number of cached results
+async function loadCacheSettings() {
+  const settings = await chrome.storage.local.get(['aiCacheEnabled', 'bypassAICache', 'aiCacheMaxEntries']);
+  elements.aiCacheEnabled.checked = settings.aiCacheEnabled !== false;
+  elements.bypassAICache.checked = Boolean(settings.bypassAICache);
+  elements.aiCacheMaxEntries.value = settings.aiCacheMaxEntries || 5000;
+  await loadCacheCount();
+}
+
+async function loadCacheCount() {
+  const response = await chrome.runtime.sendMessage({ action: 'getAICacheStats' });
+  elements.aiCacheCount.textContent = response.success ? response.count : 'Unknown';
+}
+
+// Load lifetime usage per provider and today's totals
+async function loadUsage() {
+  const response = await chrome.runtime.sendMessage({ action: 'getUsage' });
+  if (!response.success) return;
+
+  const { since, totals, byProvider, daily } = response.usage;
+  elements.usageSince.textContent = new Date(since).toLocaleDateString();
+
+  const rows = [...Object.entries(byProvider), ['Total', totals]];
+  elements.usageTableBody.innerHTML = '';
+  rows.forEach(([provider, usage]) => {
+    const tr = document.createElement('tr');
+    [provider, usage.calls, usage.inputTokens, usage.outputTokens].forEach(value => {
+      const td = document.createElement('td');
+      td.textContent = typeof value === 'number' ? value.toLocaleString() : value;
+      tr.appendChild(td);
+    });
+    const costCell = document.createElement('td');
+    costCell.textContent = formatCost(usage.cost);
+    tr.appendChild(costCell);
+    elements.usageTableBody.appendChild(tr);
+  });
+
+  const today = daily[new UsageTracker().getDayKey(new Date())];
+  elements.usageToday.textContent = today
+    ? `${(today.inputTokens + today.outputTokens).toLocaleString()} tokens, ${formatCost(today.cost)}`
+    : 'no AI calls yet';
+}
+
+// Load AI budget limits
+async function loadBudget() {
+  const keys = [...elements.budgetInputs].map(input => input.dataset.setting);
+  const settings = await chrome.storage.local.get(keys);
+  elements.budgetInputs.forEach(input => {
+    input.value = settings[input.dataset.setting] || 0;
+  });
+}
+
+// Format a USD cost, with more precision for small amounts
+function formatCost(cost) {
+  return `$${cost < 1 ? cost.toFixed(4) : cost.toFixed(2)}`;
+}
+
+// Load the model price table
+async function loadPrices() {
+  const { modelPrices } = await chrome.storage.local.get('modelPrices');
+  elements.priceTableBody.innerHTML = '';
+  Object.entries(modelPrices || defaultModelPrices).forEach(([model, price]) => addPriceRow(model, price));
+}
+
+// Add an editable row to the price table
+function addPriceRow(model = '', price = { input: '', output: '' }) {
+  const tr = document.createElement('tr');
+  [['model', model, 'text'], ['input', price.input, 'number'], ['output', price.output, 'number']].forEach(([field, value, type]) => {
+    const td = document.createElement('td');
+    const input = document.createElement('input');
+    input.type = type;
+    input.className = 'input-field';
+    input.dataset.field = field;
+    input.value = value;
+    if (type === 'number') {
+      input.min = '0';
+      input.step = 'any';
+    }
+    td.appendChild(input);
+    tr.appendChild(td);
+  });
+  elements.priceTableBody.appendChild(tr);
+}
+
+// Show a success or error message under a form
+function showMessage(element, text, isError = false) {
+  element.textContent = text;
+  element.className = isError ? 'form-message error' : 'form-message success';
+}
+
+elements.ruleClassifierEnabled.addEventListener('change', async () => {
+  await chrome.storage.local.set({ ruleClassifierEnabled: elements.ruleClassifierEnabled.checked });
+});
+
+elements.templateExtractionEnabled.addEventListener('change', async () => {
+  await chrome.storage.local.set({ templateExtractionEnabled: elements.templateExtractionEnabled.checked });
+});
+
+elements.saveCustomBtn.addEventListener('click', async () => {
+  const baseUrl = elements.customBaseUrl.value.trim();
+  const model = elements.customModel.value.trim();
+  const timeout = Number(elements.customTimeout.value);
+  const origin = configManager.getCustomOriginPattern(baseUrl);
+
+  if (!origin) {
+    showMessage(elements.customMessage, 'Base URL must start with http:// or https://.', true);
+    return;
+  }
+  if (!model) {
+    showMessage(elements.customMessage, 'Enter the model name the server should use.', true);
+    return;
+  }
+  if (!Number.isInteger(timeout) || timeout < 5 || timeout > 600) {
+    showMessage(elements.customMessage, 'Timeout must be a whole number of seconds between 5 and 600.', true);
+    return;
+  }
+
+  // Host access is requested at runtime so the extension never holds blanket access to every site
+  let granted = false;
+  try {
+    granted = await chrome.permissions.request({ origins: [origin] });
+  } catch (error) {
+    showMessage(elements.customMessage, `Could not request access to ${origin}: ${error.message}`, true);
+    return;
+  }
+  if (!granted) {
+    showMessage(elements.customMessage, `Access to ${origin} was not granted, so the custom provider can't be used.`, true);
+    return;
+  }
+
+  await chrome.storage.local.set({
+    customBaseUrl: baseUrl,
+    customModel: model,
+    customKey: elements.customKey.value.trim(),
+    customTimeoutSeconds: timeout
+  });
+  showMessage(elements.customMessage, 'Custom provider saved.');
+});
+
+elements.saveFallbackBtn.addEventListener('click', async () => {
+  const order = [...elements.fallbackSelects].map(select => select.value).filter(Boolean);
+
+  if (new Set(order).size !== order.length) {
+    showMessage(elements.fallbackMessage, 'Each provider can only appear once.', true);
+    return;
+  }
+
+  const settings = await configManager.getSettings();
+  const missing = order.filter(provider => !configManager.isProviderConfigured(settings, provider));
+  if (missing.length > 0) {
+    showMessage(elements.fallbackMessage, `Set up ${missing.join(', ')} first (API keys are saved in the popup).`, true);
+    return;
+  }
+
+  await chrome.storage.local.set({ providerFallbackOrder: order });
+  showMessage(elements.fallbackMessage, 'Fallback order saved.');
+});
+
+elements.saveBatchBtn.addEventListener('click', async () => {
+  const batchSizes = {};
+
+  for (const input of elements.batchSizeInputs) {
+    const value = Number(input.value);
+    if (!Number.isInteger(value) || value < 1 || value > 20) {
+      showMessage(elements.batchMessage, 'Batch sizes must be whole numbers between 1 and 20.', true);
+      return;
+    }
+    batchSizes[input.dataset.provider] = value;
+  }
+
+  await chrome.storage.local.set({ batchSizes });
+  showMessage(elements.batchMessage, 'Batch sizes saved.');
+});
+
+elements.saveCacheBtn.addEventListener('click', async () => {
+  const maxEntries = Number(elements.aiCacheMaxEntries.value);
+  if (!Number.isInteger(maxEntries) || maxEntries < 100 || maxEntries > 50000) {
+    showMessage(elements.cacheMessage, 'Maximum cached results must be between 100 and 50000.', true);
+    return;
+  }
+
+  await chrome.storage.local.set({
+    aiCacheEnabled: elements.aiCacheEnabled.checked,
+    bypassAICache: elements.bypassAICache.checked,
+    aiCacheMaxEntries: maxEntries
+  });
+  showMessage(elements.cacheMessage, 'Cache settings saved.');
+});
+
+elements.clearCacheBtn.addEventListener('click', async () => {
+  if (!confirm('Clear all cached AI results? Emails will be sent to the AI again the next time they are scanned.')) {
+    return;
+  }
+
+  const response = await chrome.runtime.sendMessage({ action: 'clearAICache' });
+  if (response.success) {
+    showMessage(elements.cacheMessage, 'Cache cleared.');
+    await loadCacheCount();
+  } else {
+    showMessage(elements.cacheMessage, 'Failed to clear cache: ' + response.error, true);
+  }
+});
+
+elements.resetUsageBtn.addEventListener('click', async () => {
+  if (!confirm('Reset lifetime AI usage? This also resets today\'s usage counted against the daily budget.')) {
+    return;
+  }
+  await chrome.runtime.sendMessage({ action: 'resetUsage' });
+  await loadUsage();
+});
+
+elements.saveBudgetBtn.addEventListener('click', async () => {
+  const budget = {};
+
+  for (const input of elements.budgetInputs) {
+    const value = Number(input.value || 0);
+    if (!(value >= 0)) {
+      showMessage(elements.budgetMessage, 'Budgets must be zero (no limit) or positive.', true);
+      return;
+    }
+    budget[input.dataset.setting] = value;
+  }
+
+  await chrome.storage.local.set(budget);
+  showMessage(elements.budgetMessage, 'Budget saved.');
+});
+
+elements.addPriceBtn.addEventListener('click', () => addPriceRow());
+
+elements.savePricesBtn.addEventListener('click', async () => {
+  const modelPrices = {};
+
+  for (const row of elements.priceTableBody.querySelectorAll('tr')) {
+    const value = (field) => row.querySelector(`[data-field="${field}"]`).value.trim();
+    const model = value('model');
+    if (!model) continue; // Blank rows are dropped
+
+    const input = Number(value('input'));
+    const output = Number(value('output'));
+    if (value('input') === '' || value('output') === '' || !(input >= 0) || !(output >= 0)) {
+      showMessage(elements.pricesMessage, `Enter input and output prices for ${model}.`, true);
+      return;
+    }
+    modelPrices[model] = { input, output };
+  }
+
+  await chrome.storage.local.set({ modelPrices });
+  showMessage(elements.pricesMessage, 'Prices saved.');
+  await loadPrices();
+});
+
+elements.saveReviewBtn.addEventListener('click', async () => {
+  const percent = Number(elements.reviewThreshold.value || 0);
+  if (!(percent >= 0 && percent <= 100)) {
+    showMessage(elements.reviewMessage, 'Enter a threshold between 0 and 100.', true);
+    return;
+  }
+
+  await chrome.storage.local.set({ reviewConfidenceThreshold: percent / 100 });
+  showMessage(elements.reviewMessage, percent > 0
+    ? `Results below ${percent}% confidence will be queued for review.`
+    : 'Review queue turned off.');
+});
+
+elements.saveAliasesBtn.addEventListener('click', async () => {
+  const { aliases, errors } = companyNormalizer.parseAliases(elements.companyAliases.value);
+
+  if (errors.length > 0) {
+    showMessage(elements.aliasesMessage, errors.join('\n'), true);
+    return;
+  }
+
+  await chrome.storage.local.set({ companyAliases: aliases });
+  showMessage(elements.aliasesMessage, `Saved ${aliases.length} alias${aliases.length === 1 ? '' : 'es'}. They apply to new records; normalize existing records to apply them there too.`);
+});
+
+elements.normalizeCompaniesBtn.addEventListener('click', async () => {
+  elements.normalizeCompaniesBtn.disabled = true;
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'normalizeCompanies' });
+    if (!response.success) {
+      showMessage(elements.aliasesMessage, response.error, true);
+      return;
+    }
+    showMessage(elements.aliasesMessage, response.updated > 0
+      ? `Updated the company name of ${response.updated} of ${response.total} applications.`
+      : 'All company names are already normalized.');
+  } finally {
+    elements.normalizeCompaniesBtn.disabled = false;
+  }
+});
+
+elements.saveRulesBtn.addEventListener('click', async () => {
+  const { rules, errors } = ruleClassifier.parseRules(elements.classificationRules.value);
+
+  if (errors.length > 0) {
+    showMessage(elements.rulesMessage, errors.join('\n'), true);
+    return;
+  }
+
+  await chrome.storage.local.set({ classificationRules: rules });
+  showMessage(elements.rulesMessage, `Saved ${rules.length} rule${rules.length === 1 ? '' : 's'}.`);
+});
@@ -5,8 +5,23 @@ const elements = {
   geminiKey: document.getElementById('gemini-key'),
   claudeKey: document.getElementById('claude-key'),
   deepseekKey: document.getElementById('deepseek-key'),
+  customProviderSummary: document.getElementById('custom-provider-summary'),
+  modelInput: document.getElementById('model-input'),
+  extractionModelInput: document.getElementById('extraction-model-input'),
+  modelOptions: document.getElementById('model-options'),
+  loadModelsBtn: document.getElementById('load-models-btn'),
+  modelsMessage: document.getElementById('models-message'),
   timePeriod: document.getElementById('time-period'),
   emailLimit: document.getElementById('email-limit'),
+  incrementalSync: document.getElementById('incremental-sync'),
+  scheduleMode: document.getElementById('schedule-mode'),
+  scheduleTime: document.getElementById('schedule-time'),
+  scheduleInterval: document.getElementById('schedule-interval'),
+  scheduleTimeGroup: document.getElementById('schedule-time-group'),
+  scheduleIntervalGroup: document.getElementById('schedule-interval-group'),
+  scheduleNextRun: document.getElementById('schedule-next-run'),
+  scheduleLastRun: document.getElementById('schedule-last-run'),
+  notifyOptions: document.querySelectorAll('.notify-option'),
   processEmailsBtn: document.getElementById('process-emails-btn'),
   authenticateGmailBtn: document.getElementById('authenticate-gmail-btn'),
   statusSection: document.getElementById('status-section'),
@@ -14,11 +29,21 @@ const elements = {
   statusMessage: document.getElementById('status-message'),
   resultsSummary: document.getElementById('results-summary'),
   emailsScanned: document.getElementById('emails-scanned'),
+  tokensUsed: document.getElementById('tokens-used'),
+  estimatedCost: document.getElementById('estimated-cost'),
   confirmationsFound: document.getElementById('confirmations-found'),
+  aiCallsAvoided: document.getElementById('ai-calls-avoided'),
+  cacheHits: document.getElementById('cache-hits'),
   newRecords: document.getElementById('new-records'),
+  statusUpdates: document.getElementById('status-updates'),
   duplicatesSkipped: document.getElementById('duplicates-skipped'),
   errorsCount: document.getElementById('errors-count'),
+  invalidResponses: document.getElementById('invalid-responses'),
+  queuedForReview: document.getElementById('queued-for-review'),
   openCsvBtn: document.getElementById('open-csv-btn'),
+  openDashboardBtn: document.getElementById('open-dashboard-btn'),
+  openOptionsBtn: document.getElementById('open-options-btn'),
+  openReviewBtn: document.getElementById('open-review-btn'),
   stopProcessingBtn: document.getElementById('stop-processing-btn'),
   emailDetailsSection: document.getElementById('email-details-section'),
   emailDetailsContainer: document.getElementById('email-details-container'),
@@ -32,16 +57,22 @@ const elements = {
   disconnectBtn: document.getElementById('disconnect-btn')
 };
 
+const defaultModels = new ConfigManager().defaultSettings.providerModels;
+
 // Global flag to track if processing should be stopped
 let shouldStopProcessing = false;
 
 // Load saved settings on popup open
 document.addEventListener('DOMContentLoaded', async () => {
+  chrome.runtime.sendMessage({ action: 'markRecordsSeen' }); // Opening the popup clears the badge
   await loadSettings();
+  await loadNotificationSettings();
   updateVisibleApiKeyField(); // Show only the relevant API key field
+  await loadModelFields();
   checkAuthStatus();
   await loadLastResults();
   await loadScannedStats();
+  await loadScheduleStatus();
   await checkProcessingState(); // Check if processing is ongoing
 });
 
@@ -54,8 +85,14 @@ async function loadSettings() {
       'geminiKey',
       'claudeKey',
       'deepseekKey',
+      'customBaseUrl',
+      'customModel',
       'timePeriod',
-      'emailLimit'
+      'emailLimit',
+      'incrementalSync',
+      'scheduleMode',
+      'scheduleTime',
+      'scheduleIntervalMinutes'
     ]);
 
     if (settings.activeProvider) {
@@ -73,12 +110,26 @@ async function loadSettings() {
     if (settings.deepseekKey) {
       elements.deepseekKey.value = settings.deepseekKey;
     }
+    if (settings.customBaseUrl && settings.customModel) {
+      elements.customProviderSummary.textContent = `${settings.customModel} at ${settings.customBaseUrl}. Change it under Advanced Settings.`;
+    }
     if (settings.timePeriod) {
       elements.timePeriod.value = settings.timePeriod;
     }
     if (settings.emailLimit) {
       elements.emailLimit.value = settings.emailLimit;
     }
+    elements.incrementalSync.checked = settings.incrementalSync !== false;
+    if (settings.scheduleMode) {
+      elements.scheduleMode.value = settings.scheduleMode;
+    }
+    if (settings.scheduleTime) {
+      elements.scheduleTime.value = settings.scheduleTime;
+    }
+    if (settings.scheduleIntervalMinutes) {
+      elements.scheduleInterval.value = settings.scheduleIntervalMinutes;
+    }
+    updateVisibleScheduleFields();
   } catch (error) {
     showError('Failed to load settings: ' + error.message);
   }
@@ -94,7 +145,8 @@ async function saveSettings() {
       claudeKey: elements.claudeKey.value.trim(),
       deepseekKey: elements.deepseekKey.value.trim(),
       timePeriod: elements.timePeriod.value,
-      emailLimit: parseInt(elements.emailLimit.value)
+      emailLimit: parseInt(elements.emailLimit.value),
+      incrementalSync: elements.incrementalSync.checked
     };
 
     await chrome.storage.local.set(settings);
@@ -120,10 +172,81 @@ function updateVisibleApiKeyField() {
   });
 }
 
+// Show the saved models for the selected provider
+async function loadModelFields() {
+  const provider = elements.aiProviderSelect.value;
+  const settings = await chrome.storage.local.get(['providerModels', 'extractionModels', 'customModel']);
+
+  // The custom provider's model is part of its server settings
+  elements.modelInput.value = provider === 'custom'
+    ? settings.customModel || ''
+    : (settings.providerModels || {})[provider] || defaultModels[provider];
+  elements.modelInput.placeholder = defaultModels[provider] || '';
+  elements.extractionModelInput.value = (settings.extractionModels || {})[provider] || '';
+  elements.modelOptions.innerHTML = '';
+  elements.modelsMessage.textContent = '';
+}
+
 // Auto-save when AI provider changes
 elements.aiProviderSelect.addEventListener('change', async () => {
   updateVisibleApiKeyField();
   await chrome.storage.local.set({ activeProvider: elements.aiProviderSelect.value });
+  await loadModelFields();
+});
+
+// Auto-save model choices for the selected provider (an empty model goes back to the default)
+elements.modelInput.addEventListener('change', async () => {
+  const provider = elements.aiProviderSelect.value;
+  const model = elements.modelInput.value.trim();
+
+  if (provider === 'custom') {
+    await chrome.storage.local.set({ customModel: model });
+    return;
+  }
+
+  const { providerModels } = await chrome.storage.local.get('providerModels');
+  await chrome.storage.local.set({
+    providerModels: { ...defaultModels, ...providerModels, [provider]: model || defaultModels[provider] }
+  });
+  elements.modelInput.value = model || defaultModels[provider];
+});
+
+elements.extractionModelInput.addEventListener('change', async () => {
+  const provider = elements.aiProviderSelect.value;
+  const { extractionModels = {} } = await chrome.storage.local.get('extractionModels');
+
+  const model = elements.extractionModelInput.value.trim();
+  if (model) {
+    extractionModels[provider] = model;
+  } else {
+    delete extractionModels[provider];
+  }
+  await chrome.storage.local.set({ extractionModels });
+});
+
+// Fetch the models the provider's API offers into the model suggestions
+elements.loadModelsBtn.addEventListener('click', async () => {
+  elements.loadModelsBtn.disabled = true;
+  elements.modelsMessage.textContent = 'Loading models...';
+
+  const response = await chrome.runtime.sendMessage({
+    action: 'listModels',
+    provider: elements.aiProviderSelect.value
+  });
+  elements.loadModelsBtn.disabled = false;
+
+  if (!response.success) {
+    elements.modelsMessage.textContent = `Could not load models: ${response.error}`;
+    return;
+  }
+
+  elements.modelOptions.innerHTML = '';
+  response.models.forEach(model => {
+    const option = document.createElement('option');
+    option.value = model;
+    elements.modelOptions.appendChild(option);
+  });
+  elements.modelsMessage.textContent = `${response.models.length} models available. Pick one from the model fields' suggestions.`;
 });
 
 // Auto-save when API keys change
@@ -152,6 +275,103 @@ elements.emailLimit.addEventListener('change', async () => {
   await chrome.storage.local.set({ emailLimit: parseInt(elements.emailLimit.value) });
 });
 
+elements.incrementalSync.addEventListener('change', async () => {
+  await chrome.storage.local.set({ incrementalSync: elements.incrementalSync.checked });
+});
+
+// Show only the inputs the selected schedule mode uses
+function updateVisibleScheduleFields() {
+  const mode = elements.scheduleMode.value;
+  elements.scheduleTimeGroup.style.display = mode === 'daily' ? 'block' : 'none';
+  elements.scheduleIntervalGroup.style.display = mode === 'custom' ? 'block' : 'none';
+}
+
+// Save schedule settings and re-register the background alarm
+async function saveSchedule() {
+  updateVisibleScheduleFields();
+
+  const interval = parseInt(elements.scheduleInterval.value);
+  if (elements.scheduleMode.value === 'custom' && !(interval >= 15)) {
+    showError('Custom scan interval must be at least 15 minutes.');
+    return;
+  }
+
+  try {
+    await chrome.storage.local.set({
+      scheduleMode: elements.scheduleMode.value,
+      scheduleTime: elements.scheduleTime.value || '09:00',
+      scheduleIntervalMinutes: interval || 240
+    });
+
+    const response = await chrome.runtime.sendMessage({ action: 'updateSchedule' });
+    if (!response.success) {
+      showError('Failed to update schedule: ' + response.error);
+    }
+    await loadScheduleStatus();
+  } catch (error) {
+    showError('Failed to update schedule: ' + error.message);
+  }
+}
+
+elements.scheduleMode.addEventListener('change', saveSchedule);
+elements.scheduleTime.addEventListener('change', saveSchedule);
+elements.scheduleInterval.addEventListener('change', saveSchedule);
+
+// Notification opt-ins and their defaults
+const defaultNotificationSettings = Object.fromEntries(
+  Object.entries(new ConfigManager().defaultSettings).filter(([key]) => key.startsWith('notify'))
+);
+
+// Load notification opt-ins
+async function loadNotificationSettings() {
+  try {
+    const settings = await chrome.storage.local.get(Object.keys(defaultNotificationSettings));
+    elements.notifyOptions.forEach(checkbox => {
+      const key = checkbox.dataset.setting;
+      checkbox.checked = settings[key] !== undefined ? settings[key] : defaultNotificationSettings[key];
+    });
+  } catch (error) {
+    console.error('Error loading notification settings:', error);
+  }
+}
+
+// Auto-save notification opt-ins when they change
+elements.notifyOptions.forEach(checkbox => {
+  checkbox.addEventListener('change', async () => {
+    await chrome.storage.local.set({ [checkbox.dataset.setting]: checkbox.checked });
+  });
+});
+
+// Show the next scheduled run and the outcome of the last one
+async function loadScheduleStatus() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getSchedule' });
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+
+    elements.scheduleNextRun.textContent = response.nextRun
+      ? `Next run: ${new Date(response.nextRun).toLocaleString()}`
+      : 'Automatic scans are off.';
+
+    const lastRun = response.lastRun;
+    if (!lastRun) {
+      elements.scheduleLastRun.textContent = '';
+    } else if (lastRun.skipped) {
+      elements.scheduleLastRun.textContent = `Last automatic scan skipped (${new Date(lastRun.time).toLocaleString()}): another scan was running.`;
+    } else if (lastRun.success && lastRun.budgetExhausted) {
+      elements.scheduleLastRun.textContent = `Last automatic scan stopped early (${new Date(lastRun.time).toLocaleString()}): ${lastRun.budgetExhausted}.`;
+    } else if (lastRun.success) {
+      elements.scheduleLastRun.textContent = `Last automatic scan: ${new Date(lastRun.time).toLocaleString()}`;
+    } else {
+      elements.scheduleLastRun.textContent = `Last automatic scan failed (${new Date(lastRun.time).toLocaleString()}): ${lastRun.error}`;
+    }
+  } catch (error) {
+    console.error('Error loading schedule status:', error);
+    elements.scheduleNextRun.textContent = 'Schedule status unavailable';
+  }
+}
+
 // Check Gmail authentication status
 async function checkAuthStatus() {
   try {
@@ -263,13 +483,22 @@ elements.processEmailsBtn.addEventListener('click', async () => {
       'openaiKey',
       'geminiKey',
       'claudeKey',
-      'deepseekKey'
+      'deepseekKey',
+      'customKey',
+      'customBaseUrl',
+      'customModel'
     ]);
 
     const provider = settings.activeProvider || 'openai';
-    const apiKey = settings[`${provider}Key`];
+    const apiKey = (settings[`${provider}Key`] || '').trim();
 
-    if (!apiKey || apiKey.trim() === '') {
+    // The custom provider's key is optional; it needs a base URL and model instead
+    if (provider === 'custom') {
+      if (!settings.customBaseUrl || !settings.customModel) {
+        showError('Please configure the custom provider\'s base URL and model under Advanced Settings.');
+        return;
+      }
+    } else if (!apiKey) {
       showError(`Please configure API key for ${provider.toUpperCase()} in settings.`);
       return;
     }
@@ -302,18 +531,31 @@ elements.processEmailsBtn.addEventListener('click', async () => {
 
     if (response.success) {
       // Show results
-      if (response.stopped) {
+      if (response.results.budgetExhausted) {
+        elements.statusMessage.textContent = `${response.results.budgetExhausted}. Partial results shown below.`;
+      } else if (response.stopped) {
         elements.statusMessage.textContent = 'Processing stopped by user. Partial results shown below.';
       } else {
         elements.statusMessage.textContent = 'Processing complete!';
       }
 
+      const failedProviders = Object.keys(response.results.failedProviders || {});
+      if (failedProviders.length > 0) {
+        elements.statusMessage.textContent += ` Skipped failing provider(s): ${failedProviders.join(', ')}.`;
+      }
+
       elements.resultsSummary.style.display = 'block';
       elements.emailsScanned.textContent = response.results.emailsScanned;
+      displayUsage(response.results.usage);
       elements.confirmationsFound.textContent = response.results.confirmationsFound;
+      elements.aiCallsAvoided.textContent = response.results.aiCallsAvoided || 0;
+      elements.cacheHits.textContent = response.results.cacheHits || 0;
       elements.newRecords.textContent = response.results.newRecords;
+      elements.statusUpdates.textContent = response.results.statusUpdates || 0;
       elements.duplicatesSkipped.textContent = response.results.duplicatesSkipped;
       elements.errorsCount.textContent = response.results.errors;
+      elements.invalidResponses.textContent = response.results.invalidResponses || 0;
+      elements.queuedForReview.textContent = response.results.queuedForReview || 0;
 
       // Display email details
       if (response.results.emailDetails && response.results.emailDetails.length > 0) {
@@ -386,11 +628,37 @@ elements.openCsvBtn.addEventListener('click', async () => {
   }
 });
 
+// Open the full-page dashboard in a new tab
+elements.openDashboardBtn.addEventListener('click', () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL('dashboard.html') });
+});
+
+// Open the review queue for emails the AI was unsure about
+elements.openReviewBtn.addEventListener('click', () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL('review.html') });
+});
+
+// Open the advanced settings page (classification rules)
+elements.openOptionsBtn.addEventListener('click', () => {
+  chrome.runtime.openOptionsPage();
+});
+
 // Listen for progress updates from background script
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.type === 'progress') {
     elements.statusMessage.textContent = message.message;
   }
+
+  // A scheduled scan finished while the popup was open
+  if (message.type === 'processingComplete') {
+    elements.spinner.style.display = 'none';
+    elements.stopProcessingBtn.style.display = 'none';
+    elements.processEmailsBtn.disabled = false;
+    elements.processEmailsBtn.textContent = 'Process Emails';
+    loadLastResults();
+    loadScannedStats();
+    loadScheduleStatus();
+  }
 });
 
 // Helper functions
@@ -421,10 +689,16 @@ async function loadLastResults() {
 
       elements.statusMessage.textContent = `Last processed: ${lastTime}`;
       elements.emailsScanned.textContent = result.lastResults.emailsScanned;
+      displayUsage(result.lastResults.usage);
       elements.confirmationsFound.textContent = result.lastResults.confirmationsFound;
+      elements.aiCallsAvoided.textContent = result.lastResults.aiCallsAvoided || 0;
+      elements.cacheHits.textContent = result.lastResults.cacheHits || 0;
       elements.newRecords.textContent = result.lastResults.newRecords;
+      elements.statusUpdates.textContent = result.lastResults.statusUpdates || 0;
       elements.duplicatesSkipped.textContent = result.lastResults.duplicatesSkipped;
       elements.errorsCount.textContent = result.lastResults.errors;
+      elements.invalidResponses.textContent = result.lastResults.invalidResponses || 0;
+      elements.queuedForReview.textContent = result.lastResults.queuedForReview || 0;
 
       // Display email details if available
       if (result.lastResults.emailDetails && result.lastResults.emailDetails.length > 0) {
@@ -436,6 +710,19 @@ async function loadLastResults() {
   }
 }
 
+// Display a run's AI token usage and estimated cost
+function displayUsage(usage) {
+  const { inputTokens = 0, outputTokens = 0, estimatedCalls = 0, calls = 0, cost = 0 } = usage || {};
+  const estimateNote = estimatedCalls > 0 ? ` (${estimatedCalls} of ${calls} calls estimated)` : '';
+  elements.tokensUsed.textContent = `${inputTokens.toLocaleString()} / ${outputTokens.toLocaleString()}${estimateNote}`;
+  elements.estimatedCost.textContent = formatCost(cost);
+}
+
+// Format a USD cost, with more precision for small amounts
+function formatCost(cost) {
+  return `$${cost < 1 ? cost.toFixed(4) : cost.toFixed(2)}`;
+}
+
 // Display email details in a formatted table
 function displayEmailDetails(emailDetails) {
   elements.emailDetailsSection.style.display = 'block';
@@ -517,7 +804,8 @@ function displayEmailDetails(emailDetails) {
     }
 
     const row = document.createElement('tr');
-    row.className = email.isConfirmation ? 'confirmation-row' : 'skipped-row';
+    const isJobEmail = Boolean(email.applicationStatus || email.isConfirmation);
+    row.className = isJobEmail ? 'confirmation-row' : 'skipped-row';
 
     // Email number
     const numCell = document.createElement('td');
@@ -539,24 +827,45 @@ function displayEmailDetails(emailDetails) {
     // Status
     const statusCell = document.createElement('td');
     statusCell.textContent = email.status;
-    statusCell.className = email.isConfirmation ? 'status-success' : 'status-skipped';
+    statusCell.className = isJobEmail ? 'status-success' : 'status-skipped';
     row.appendChild(statusCell);
 
     // Details
     const detailsCell = document.createElement('td');
     if (email.extracted) {
-      detailsCell.innerHTML = `
-        <strong>Company:</strong> ${email.extracted.company}<br>
-        <strong>Position:</strong> ${email.extracted.position}<br>
-        <strong>Date:</strong> ${email.extracted.application_date}
-      `;
+      // Built with textContent: every value comes from the email or the AI response
+      const lines = [
+        ['Company', email.extracted.company],
+        ['Position', email.extracted.position]
+      ];
+      if (email.extracted.location || email.extracted.work_mode) {
+        lines.push(['Location', [email.extracted.location, email.extracted.work_mode].filter(Boolean).join(', ')]);
+      }
+      lines.push(['Status', email.applicationStatus || 'applied']);
+      lines.push(['Date', email.extracted.application_date]);
+      if (email.provider) lines.push(['Provider', email.provider]);
+      if (email.promptVersion) lines.push(['Prompt', email.promptVersion]);
+      if (typeof email.confidence === 'number') lines.push(['Confidence', `${Math.round(email.confidence * 100)}%`]);
+
+      lines.forEach(([label, value], index) => {
+        if (index > 0) detailsCell.appendChild(document.createElement('br'));
+        const strong = document.createElement('strong');
+        strong.textContent = `${label}:`;
+        detailsCell.appendChild(strong);
+        detailsCell.appendChild(document.createTextNode(` ${value}`));
+      });
       detailsCell.className = 'details-extracted';
     } else if (email.error) {
       detailsCell.textContent = email.error;
       detailsCell.className = 'details-error';
+    } else if (email.provider) {
+      detailsCell.textContent = `Provider: ${email.provider}`;
     } else {
       detailsCell.textContent = '-';
     }
+    if (email.messageId) {
+      detailsCell.appendChild(buildCorrectionControl(email));
+    }
     row.appendChild(detailsCell);
 
     tbody.appendChild(row);
@@ -566,12 +875,88 @@ function displayEmailDetails(emailDetails) {
   tableContainer.appendChild(table);
 }
 
-// Load scanned email statistics
+// Build the "Mark as wrong" control that saves a correction as a labeled example
+function buildCorrectionControl(email) {
+  const container = document.createElement('div');
+  container.className = 'correction-control';
+
+  const toggle = document.createElement('button');
+  toggle.className = 'btn-link';
+  toggle.textContent = 'Mark as wrong';
+  container.appendChild(toggle);
+
+  const form = document.createElement('div');
+  form.className = 'correction-form';
+  form.style.display = 'none';
+
+  const statusSelect = document.createElement('select');
+  [['not_job', 'Not a job email'], ...ApplicationStatus.all.map(status => [status, ApplicationStatus.getLabel(status)])]
+    .forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      statusSelect.appendChild(option);
+    });
+  statusSelect.value = email.applicationStatus ? 'not_job' : ApplicationStatus.APPLIED;
+
+  const companyInput = document.createElement('input');
+  companyInput.type = 'text';
+  companyInput.placeholder = 'Company';
+  companyInput.value = (email.extracted && email.extracted.company) || '';
+
+  const positionInput = document.createElement('input');
+  positionInput.type = 'text';
+  positionInput.placeholder = 'Position';
+  positionInput.value = (email.extracted && email.extracted.position) || '';
+
+  const saveBtn = document.createElement('button');
+  saveBtn.className = 'btn btn-primary btn-small';
+  saveBtn.textContent = 'Save Example';
+
+  const message = document.createElement('div');
+  message.className = 'correction-message';
+
+  form.append(statusSelect, companyInput, positionInput, saveBtn, message);
+  container.appendChild(form);
+
+  toggle.addEventListener('click', () => {
+    form.style.display = form.style.display === 'none' ? 'block' : 'none';
+  });
+
+  saveBtn.addEventListener('click', async () => {
+    saveBtn.disabled = true;
+    const response = await chrome.runtime.sendMessage({
+      action: 'addExample',
+      example: {
+        id: email.messageId,
+        subject: email.subject,
+        from: email.from,
+        snippet: email.snippet,
+        label: statusSelect.value,
+        company: companyInput.value,
+        position: positionInput.value,
+        source: 'run_details'
+      }
+    });
+    saveBtn.disabled = false;
+
+    message.textContent = response.success
+      ? 'Saved as an example for future runs. Fix the application itself in the dashboard.'
+      : response.error;
+    message.className = response.success ? 'correction-message' : 'correction-message details-error';
+  });
+
+  return container;
+}
+
+// Load scanned email statistics and the review queue size
 async function loadScannedStats() {
   try {
-    const result = await chrome.storage.local.get('scannedEmailIds');
+    const result = await chrome.storage.local.get(['scannedEmailIds', 'reviewQueue']);
     const scannedIds = result.scannedEmailIds || [];
+    const queued = (result.reviewQueue || []).length;
     elements.totalScanned.textContent = scannedIds.length;
+    elements.openReviewBtn.textContent = queued > 0 ? `Review Queue (${queued})` : 'Review Queue';
   } catch (error) {
     console.error('Error loading scanned stats:', error);
     elements.totalScanned.textContent = 'Error';
@@ -585,7 +970,8 @@ elements.clearScannedBtn.addEventListener('click', async () => {
   }
 
   try {
-    await chrome.storage.local.remove('scannedEmailIds');
+    // Also drop the sync checkpoint so the next run rescans the whole time period
+    await chrome.storage.local.remove(['scannedEmailIds', 'lastHistoryId']);
     elements.totalScanned.textContent = '0';
     alert('Scanned email history cleared successfully!');
   } catch (error) {
@@ -0,0 +1,166 @@
+// Prompt Templates - Edit, version and test the prompts sent to the AI provider
+
+// UI Elements
+const elements = {
+  templateName: document.getElementById('template-name'),
+  templateVersion: document.getElementById('template-version'),
+  templateState: document.getElementById('template-state'),
+  templatePlaceholders: document.getElementById('template-placeholders'),
+  templateText: document.getElementById('template-text'),
+  saveTemplateBtn: document.getElementById('save-template-btn'),
+  resetTemplateBtn: document.getElementById('reset-template-btn'),
+  templateMessage: document.getElementById('template-message'),
+  testSubject: document.getElementById('test-subject'),
+  testFrom: document.getElementById('test-from'),
+  testBody: document.getElementById('test-body'),
+  previewPromptBtn: document.getElementById('preview-prompt-btn'),
+  runTestBtn: document.getElementById('run-test-btn'),
+  testMessage: document.getElementById('test-message'),
+  testResult: document.getElementById('test-result'),
+  testPrompt: document.getElementById('test-prompt')
+};
+
+let savedTemplates = {};
+let promptTemplates = new PromptTemplates();
+let currentName = null;
+
+document.addEventListener('DOMContentLoaded', async () => {
+  promptTemplates.names.forEach(name => {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = promptTemplates.defaults[name].label;
+    elements.templateName.appendChild(option);
+  });
+
+  await loadTemplates();
+  showTemplate(promptTemplates.names[0]);
+});
+
+// Load saved templates
+async function loadTemplates() {
+  const result = await chrome.storage.local.get('promptTemplates');
+  savedTemplates = result.promptTemplates || {};
+  promptTemplates = new PromptTemplates(savedTemplates);
+}
+
+// Show a template in the editor
+function showTemplate(name) {
+  const { template, version, custom } = promptTemplates.get(name);
+  currentName = name;
+  elements.templateName.value = name;
+  elements.templateText.value = template;
+  elements.templateVersion.textContent = version;
+  elements.templateState.textContent = custom ? 'edited' : 'default';
+  elements.templatePlaceholders.textContent = promptTemplates.defaults[name].placeholders
+    .map(key => `{{${key}}}`)
+    .join(', ');
+}
+
+function hasUnsavedChanges() {
+  return elements.templateText.value !== promptTemplates.get(currentName).template;
+}
+
+function showMessage(element, text, isError = false) {
+  element.textContent = text;
+  element.className = isError ? 'form-message error' : 'form-message success';
+}
+
+async function saveTemplate(name, template) {
+  savedTemplates = { ...savedTemplates, [name]: promptTemplates.buildSaved(name, template) };
+  await chrome.storage.local.set({ promptTemplates: savedTemplates });
+  await loadTemplates();
+  showTemplate(name);
+}
+
+elements.templateName.addEventListener('change', () => {
+  if (hasUnsavedChanges() && !confirm('Discard your unsaved changes to this prompt?')) {
+    elements.templateName.value = currentName;
+    return;
+  }
+  showTemplate(elements.templateName.value);
+  showMessage(elements.templateMessage, '');
+});
+
+elements.saveTemplateBtn.addEventListener('click', async () => {
+  const template = elements.templateText.value;
+
+  if (!hasUnsavedChanges()) {
+    showMessage(elements.templateMessage, 'No changes to save.', true);
+    return;
+  }
+
+  const errors = promptTemplates.validate(currentName, template);
+  if (errors.length > 0) {
+    showMessage(elements.templateMessage, errors.join('\n'), true);
+    return;
+  }
+
+  await saveTemplate(currentName, template);
+  showMessage(elements.templateMessage, `Saved as version ${promptTemplates.get(currentName).version}. The next run uses it.`);
+});
+
+elements.resetTemplateBtn.addEventListener('click', async () => {
+  if (!promptTemplates.get(currentName).custom) {
+    showTemplate(currentName);
+    showMessage(elements.templateMessage, 'This prompt already uses the default text.');
+    return;
+  }
+
+  if (!confirm('Replace this prompt with the default text? It is saved as a new version.')) {
+    return;
+  }
+
+  await saveTemplate(currentName, null);
+  showMessage(elements.templateMessage, `Default text restored as version ${promptTemplates.get(currentName).version}.`);
+});
+
+// Send the editor's template and the test email to the background worker
+async function testTemplate(run) {
+  const errors = promptTemplates.validate(currentName, elements.templateText.value);
+  if (errors.length > 0) {
+    showMessage(elements.testMessage, errors.join('\n'), true);
+    return;
+  }
+
+  const email = {
+    subject: elements.testSubject.value,
+    from: elements.testFrom.value,
+    body: elements.testBody.value,
+    date: new Date().toISOString()
+  };
+
+  elements.previewPromptBtn.disabled = true;
+  elements.runTestBtn.disabled = true;
+  elements.testResult.textContent = '';
+  showMessage(elements.testMessage, run ? 'Waiting for the AI provider...' : '');
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'testPrompt',
+      name: currentName,
+      template: elements.templateText.value,
+      email,
+      run
+    });
+
+    if (!response.success) {
+      elements.testPrompt.textContent = '';
+      showMessage(elements.testMessage, response.error, true);
+      return;
+    }
+
+    elements.testPrompt.textContent = response.prompt;
+    if (run) {
+      elements.testResult.textContent = JSON.stringify(response.result, null, 2);
+      showMessage(elements.testMessage, `Response from ${response.provider} (${response.model}):`);
+    }
+  } catch (error) {
+    showMessage(elements.testMessage, error.message, true);
+  } finally {
+    elements.previewPromptBtn.disabled = false;
+    elements.runTestBtn.disabled = false;
+  }
+}
+
+elements.previewPromptBtn.addEventListener('click', () => testTemplate(false));
+elements.runTestBtn.addEventListener('click', () => testTemplate(true));
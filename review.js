@@ -0,0 +1,147 @@
+// Review Queue - Approve, correct or reject emails the AI was unsure about
+
+// UI Elements
+const elements = {
+  queueSummary: document.getElementById('queue-summary'),
+  queueMessage: document.getElementById('queue-message'),
+  reviewList: document.getElementById('review-list')
+};
+
+document.addEventListener('DOMContentLoaded', loadQueue);
+
+// Load and render the queue
+async function loadQueue() {
+  const response = await chrome.runtime.sendMessage({ action: 'getReviewQueue' });
+  if (!response.success) {
+    showMessage(elements.queueMessage, response.error, true);
+    return;
+  }
+
+  const items = response.items;
+  elements.queueSummary.textContent = items.length === 0
+    ? 'Nothing to review.'
+    : `${items.length} email${items.length === 1 ? '' : 's'} waiting for review.`;
+
+  elements.reviewList.innerHTML = '';
+  items.forEach(item => elements.reviewList.appendChild(buildItemCard(item)));
+}
+
+function showMessage(element, text, isError = false) {
+  element.textContent = text;
+  element.className = isError ? 'form-message error' : 'form-message success';
+}
+
+function formatDate(value) {
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? '-' : date.toLocaleDateString();
+}
+
+// Build the card for one queued email
+function buildItemCard(item) {
+  const record = item.record || {};
+  const card = document.createElement('section');
+  card.className = 'settings-card review-item';
+
+  const title = document.createElement('h2');
+  title.textContent = item.email_title || '(no subject)';
+  card.appendChild(title);
+
+  const meta = document.createElement('p');
+  meta.className = 'help-text';
+  meta.textContent = `${item.email_from} · ${formatDate(item.email_date)} · ${item.reason} ` +
+    `(confidence ${Math.round(item.confidence * 100)}%${item.provider ? `, ${item.provider}` : ''})`;
+  card.appendChild(meta);
+
+  const snippet = document.createElement('pre');
+  snippet.className = 'prompt-output';
+  snippet.textContent = item.snippet;
+  card.appendChild(snippet);
+
+  const suggestion = document.createElement('p');
+  suggestion.className = 'help-text';
+  suggestion.textContent = record.status
+    ? `Suggested: ${ApplicationStatus.getLabel(record.status)} at ${record.company || '(unknown company)'}` +
+      (record.position ? `, ${record.position}` : '')
+    : 'Suggested: not a job application email';
+  card.appendChild(suggestion);
+
+  // Correction fields, prefilled with the suggestion
+  const statusSelect = document.createElement('select');
+  statusSelect.className = 'input-field';
+  [['not_job', 'Not a job email'], ...ApplicationStatus.all.map(status => [status, ApplicationStatus.getLabel(status)])]
+    .forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      statusSelect.appendChild(option);
+    });
+  statusSelect.value = record.status || 'not_job';
+
+  const companyInput = document.createElement('input');
+  companyInput.type = 'text';
+  companyInput.className = 'input-field';
+  companyInput.placeholder = 'Company';
+  companyInput.value = record.company || '';
+
+  const positionInput = document.createElement('input');
+  positionInput.type = 'text';
+  positionInput.className = 'input-field';
+  positionInput.placeholder = 'Position';
+  positionInput.value = record.position || '';
+
+  const fields = document.createElement('div');
+  fields.className = 'review-fields';
+  [['Status', statusSelect], ['Company', companyInput], ['Position', positionInput]].forEach(([label, input]) => {
+    const wrapper = document.createElement('label');
+    wrapper.textContent = label;
+    wrapper.appendChild(input);
+    fields.appendChild(wrapper);
+  });
+  card.appendChild(fields);
+
+  const message = document.createElement('p');
+  message.className = 'form-message';
+
+  const buttons = [];
+  const buildButton = (label, className, decision, getChanges) => {
+    const button = document.createElement('button');
+    button.className = `btn ${className}`;
+    button.textContent = label;
+    button.addEventListener('click', async () => {
+      buttons.forEach(b => { b.disabled = true; });
+      const response = await chrome.runtime.sendMessage({
+        action: 'resolveReviewItem',
+        messageId: item.message_id,
+        decision,
+        changes: getChanges()
+      });
+
+      if (!response.success) {
+        buttons.forEach(b => { b.disabled = false; });
+        showMessage(message, response.error, true);
+        return;
+      }
+
+      showMessage(elements.queueMessage, response.added > 0
+        ? `Added a new application from "${item.email_title}".`
+        : response.updated > 0
+          ? `Attached "${item.email_title}" to an existing application.`
+          : `"${item.email_title}" marked as not a job email.`);
+      await loadQueue();
+    });
+    buttons.push(button);
+    card.appendChild(button);
+    return button;
+  };
+
+  buildButton('Approve', 'btn-primary', 'approve', () => null);
+  buildButton('Save Correction', 'btn-secondary', 'correct', () => ({
+    status: statusSelect.value,
+    company: companyInput.value,
+    position: positionInput.value
+  }));
+  buildButton('Not a Job Email', 'btn-secondary', 'reject', () => null);
+  card.appendChild(message);
+
+  return card;
+}
@@ -0,0 +1,127 @@
+// AI Cache - Persistent cache of AI classification and extraction results
+// Keyed by a SHA-256 hash of (task, provider, model, prompt version, email content), so results
+// survive clearing scan history or reinstalling while the email and prompt are unchanged
+
+class AICache {
+  /**
+   * @param {Object} options - Options
+   * @param {number} options.maxEntries - Entries kept before the least recently used are evicted
+   */
+  constructor(options = {}) {
+    this.storageKey = 'aiCache';
+    this.maxEntries = options.maxEntries || 5000;
+    this.entries = null; // Loaded lazily from storage
+    this.dirty = false;
+  }
+
+  /**
+   * Load entries from storage (once per service worker lifetime)
+   * @returns {Promise<Object>} hash -> {value, created, lastUsed}
+   */
+  async load() {
+    if (!this.entries) {
+      try {
+        const result = await chrome.storage.local.get(this.storageKey);
+        this.entries = result[this.storageKey] || {};
+      } catch (error) {
+        console.error('Error reading AI cache:', error);
+        this.entries = {};
+      }
+    }
+    return this.entries;
+  }
+
+  /**
+   * Hash the cache key parts
+   * @param {Array} parts - Key parts (task, provider, model, prompt version, content)
+   * @returns {Promise<string>} Hex SHA-256 digest
+   */
+  async hashKey(parts) {
+    const data = new TextEncoder().encode(JSON.stringify(parts));
+    const digest = await crypto.subtle.digest('SHA-256', data);
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Look up a cached result
+   * @param {Array} parts - Key parts
+   * @returns {Promise<Object|null>} {value} on a hit (value may be null), null on a miss
+   */
+  async get(parts) {
+    const entries = await this.load();
+    const entry = entries[await this.hashKey(parts)];
+    if (!entry) return null;
+
+    entry.lastUsed = Date.now();
+    this.dirty = true;
+    return { value: entry.value };
+  }
+
+  /**
+   * Store a result, evicting the least recently used entries when over the limit
+   * @param {Array} parts - Key parts
+   * @param {any} value - JSON-serializable result
+   * @returns {Promise<void>}
+   */
+  async set(parts, value) {
+    const entries = await this.load();
+    const now = Date.now();
+    entries[await this.hashKey(parts)] = { value, created: now, lastUsed: now };
+    this.dirty = true;
+
+    if (Object.keys(entries).length > this.maxEntries) {
+      this.evict();
+    }
+  }
+
+  /**
+   * Drop least recently used entries down to 90% of the limit, so eviction doesn't run on every set
+   */
+  evict() {
+    const keys = Object.keys(this.entries)
+      .sort((a, b) => this.entries[a].lastUsed - this.entries[b].lastUsed);
+    const target = Math.floor(this.maxEntries * 0.9);
+
+    keys.slice(0, keys.length - target).forEach(key => delete this.entries[key]);
+    console.log(`AI cache: evicted ${keys.length - target} entries`);
+  }
+
+  /**
+   * Write pending changes to storage
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    if (!this.dirty || !this.entries) return;
+
+    try {
+      await chrome.storage.local.set({ [this.storageKey]: this.entries });
+      this.dirty = false;
+    } catch (error) {
+      console.error('Error saving AI cache:', error);
+    }
+  }
+
+  /**
+   * Remove all cached results
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    this.entries = {};
+    this.dirty = false;
+    await chrome.storage.local.remove(this.storageKey);
+  }
+
+  /**
+   * Get the number of cached results
+   * @returns {Promise<number>} Entry count
+   */
+  async getCount() {
+    const entries = await this.load();
+    return Object.keys(entries).length;
+  }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AICache;
+}
@@ -0,0 +1,70 @@
+// AI Provider Error - Typed error for failed AI API calls
+// The type decides what happens next: rate limits are retried, provider outages fail over,
+// and malformed structured output (invalid_response) is reported with the validation errors
+
+class AIProviderError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Error details
+   * @param {string} details.provider - Provider that failed
+   * @param {number|null} details.status - HTTP status, if the API responded
+   * @param {string} details.type - auth, quota, rate_limit, server, network, bad_request, unavailable
+   *   or invalid_response
+   * @param {string} details.task - Task whose response was invalid (categorization, batch_categorization, extraction)
+   * @param {string[]} details.validationErrors - Schema validation errors for invalid_response
+   * @param {string} details.response - The response text that failed validation
+   */
+  constructor(message, { provider = null, status = null, type = 'unknown', task = null, validationErrors = [], response = null } = {}) {
+    super(message);
+    this.name = 'AIProviderError';
+    this.provider = provider;
+    this.status = status;
+    this.type = type;
+    this.task = task;
+    this.validationErrors = validationErrors;
+    this.response = response;
+  }
+
+  /**
+   * Build an error from a failed HTTP response
+   * @param {string} provider - Provider name
+   * @param {number} status - HTTP status
+   * @param {string} message - Error message from the API body
+   * @returns {AIProviderError} Typed error
+   */
+  static fromResponse(provider, status, message) {
+    return new AIProviderError(`${message} (HTTP ${status})`, {
+      provider,
+      status,
+      type: AIProviderError.classify(status, message)
+    });
+  }
+
+  /**
+   * Classify a failed response
+   * @param {number} status - HTTP status
+   * @param {string} message - Error message
+   * @returns {string} Error type
+   */
+  static classify(status, message) {
+    if (status === 401 || status === 403) return 'auth';
+    // Providers use 429 (or 402) both for short rate limits and for exhausted credit
+    if (status === 402 || (status === 429 && /quota|billing|credit|insufficient/i.test(message))) return 'quota';
+    if (status === 429) return 'rate_limit';
+    if (status >= 500) return 'server';
+    return 'bad_request';
+  }
+
+  /**
+   * Whether the next provider in the fallback chain should be tried
+   * @returns {boolean} True for failures of the provider itself (not of the request)
+   */
+  get failover() {
+    return ['auth', 'quota', 'server', 'network'].includes(this.type);
+  }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AIProviderError;
+}
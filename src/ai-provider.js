@@ -1,50 +1,318 @@
-// AI Provider - Multi-provider abstraction for AI APIs (OpenAI, Gemini, Claude, DeepSeek)
+// AI Provider - Multi-provider abstraction for AI APIs (OpenAI, Gemini, Claude, DeepSeek, OpenAI-compatible servers)
 
 class AIProvider {
-  constructor(provider, apiKey) {
+  /**
+   * @param {string} provider - Provider name (openai, gemini, claude, deepseek, custom)
+   * @param {string} apiKey - API key for the provider (optional for custom)
+   * @param {Object} options - Options
+   * @param {AICache} options.cache - Persistent result cache (optional)
+   * @param {boolean} options.bypassCache - Ignore cached results but still store new ones
+   * @param {Object} options.prices - USD per 1M tokens by model: {model: {input, output}}
+   * @param {Array} options.fallbacks - Providers to try in order when this one is down: [{provider, apiKey}]
+   * @param {Object} options.custom - OpenAI-compatible server: {baseUrl, model, timeoutMs}
+   * @param {Object} options.models - Model per provider, overriding the defaults: {provider: model}
+   * @param {Object} options.extractionModels - Separate extraction model per provider (default: the same model)
+   * @param {Object} options.promptTemplates - Saved prompt templates (see PromptTemplates)
+   * @param {Array} options.examples - Labeled examples from the user's corrections (see ExampleStore)
+   */
+  constructor(provider, apiKey, options = {}) {
     this.provider = provider;
     this.apiKey = apiKey;
+    this.chain = [{ provider, apiKey }, ...(options.fallbacks || [])];
+    this.circuitBreaker = new ProviderCircuitBreaker();
+    this.lastProvider = null; // Provider that answered the most recent call ('cache' for cache hits)
+    this.lastPromptVersion = null; // Prompt that produced the most recent result, e.g. "c3" (see getPromptVersion)
+    this.lastConfidence = null; // Model's confidence (0-1) in the most recent categorization
+    this.lastBatchPromptVersions = []; // The same per email for the most recent batch
+    this.lastBatchConfidences = [];
+    this.cache = options.cache || null;
+    this.bypassCache = Boolean(options.bypassCache);
+    this.cacheHits = 0;
+    this.prices = options.prices || {};
+    this.resetUsage();
+
+    // Template versions are part of the cache key, so cached results from an older prompt are not reused.
+    // Single and batch categorization share cached results, so both versions are in that key.
+    this.templates = new PromptTemplates(options.promptTemplates);
+    this.promptVersions = {
+      categorization: `${this.templates.get('categorization').version}.${this.templates.get('batch_categorization').version}`,
+      extraction: this.templates.get('extraction').version
+    };
+
+    // Few-shot examples: the corrections most similar to the email(s) go into the {{examples}} placeholder
+    this.exampleStore = new ExampleStore();
+    this.examples = options.examples || [];
+    this.exampleLimits = { categorization: 3, batch_categorization: 5, extraction: 3 };
+
+    // Typical response size per email, for estimating a request before it is sent (see estimateRequest)
+    this.expectedOutputTokens = { categorization: 20, batch_categorization: 25, extraction: 150 };
+
+    // Response schemas, sent with each request in the provider's structured-output mode
+    // and checked again on the way back (some providers only promise valid JSON, not the shape)
+    this.validator = new SchemaValidator();
+    const label = { type: 'string', enum: ['NOT_JOB', ...ApplicationStatus.all.map(status => status.toUpperCase())] };
+    const confidence = { type: 'number' }; // 0-1, see normalizeConfidence
+    const optionalText = { type: ['string', 'null'] };
+    const optionalNumber = { type: ['number', 'null'] };
+    this.workModes = ['remote', 'hybrid', 'onsite'];
+    this.salaryPeriods = ['hour', 'day', 'week', 'month', 'year'];
+    this.salaryBases = ['base', 'total'];
+    this.schemaVersion = 4; // Part of the cache key; bump when the schemas change what a result contains
+    this.schemas = {
+      categorization: {
+        name: 'categorization',
+        schema: {
+          type: 'object',
+          properties: { label, confidence },
+          required: ['label', 'confidence'],
+          additionalProperties: false
+        }
+      },
+      batch_categorization: {
+        name: 'batch_categorization',
+        schema: {
+          type: 'object',
+          properties: {
+            results: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: { index: { type: 'integer' }, label, confidence },
+                required: ['index', 'label', 'confidence'],
+                additionalProperties: false
+              }
+            }
+          },
+          required: ['results'],
+          additionalProperties: false
+        }
+      },
+      extraction: {
+        name: 'extraction',
+        schema: {
+          type: 'object',
+          properties: {
+            company: optionalText,
+            position: optionalText,
+            location: optionalText,
+            work_mode: { type: ['string', 'null'], enum: [...this.workModes, null] },
+            requisition_id: optionalText,
+            job_url: optionalText,
+            ats_platform: optionalText,
+            salary_min: optionalNumber,
+            salary_max: optionalNumber,
+            salary_currency: optionalText,
+            salary_period: { type: ['string', 'null'], enum: [...this.salaryPeriods, null] },
+            salary_basis: { type: ['string', 'null'], enum: [...this.salaryBases, null] },
+            confidence
+          },
+          required: [
+            'company', 'position', 'location', 'work_mode', 'requisition_id', 'job_url', 'ats_platform',
+            'salary_min', 'salary_max', 'salary_currency', 'salary_period', 'salary_basis', 'confidence'
+          ],
+          additionalProperties: false
+        }
+      }
+    };
+
+    this.models = { ...new ConfigManager().defaultSettings.providerModels };
+    for (const [provider, model] of Object.entries(options.models || {})) {
+      if (model) this.models[provider] = model;
+    }
+    this.extractionModels = options.extractionModels || {};
+    this.providerNames = {
+      openai: 'OpenAI',
+      gemini: 'Gemini',
+      claude: 'Claude',
+      deepseek: 'DeepSeek',
+      custom: 'Custom provider'
+    };
     this.endpoints = {
       openai: 'https://api.openai.com/v1/chat/completions',
-      gemini: 'https://generativelanguage.googleapis.com/v1beta/models/gemini-pro:generateContent',
+      gemini: 'https://generativelanguage.googleapis.com/v1beta/models', // + /<model>:generateContent
       claude: 'https://api.anthropic.com/v1/messages',
       deepseek: 'https://api.deepseek.com/v1/chat/completions'
     };
+    this.timeouts = {}; // provider -> request timeout in ms (cloud providers use the browser default)
+
+    // Local and self-hosted servers (Ollama, LM Studio, llama.cpp) speak the OpenAI chat API
+    if (options.custom) {
+      this.endpoints.custom = this.getChatCompletionsUrl(options.custom.baseUrl);
+      this.models.custom = options.custom.model;
+      this.timeouts.custom = options.custom.timeoutMs || 60000;
+    }
+  }
+
+  /**
+   * Get the model a provider uses for a task
+   * @param {string} provider - Provider name
+   * @param {string} task - 'categorization' or 'extraction'
+   * @returns {string} Model name
+   */
+  getModel(provider, task = 'categorization') {
+    return (task === 'extraction' && this.extractionModels[provider]) || this.models[provider];
+  }
+
+  /**
+   * Get the short label of the prompt version a template is at
+   * Records store these labels so results can be compared after a prompt is edited.
+   * @param {string} name - Template name
+   * @returns {string} e.g. "c3" (categorization), "b3" (batch categorization) or "e3" (extraction)
+   */
+  getPromptVersion(name) {
+    const prefixes = { categorization: 'c', batch_categorization: 'b', extraction: 'e' };
+    return `${prefixes[name]}${this.templates.get(name).version}`;
   }
 
   /**
-   * Categorize email as job application confirmation
+   * Build the chat completions URL for an OpenAI-compatible base URL
+   * @param {string} baseUrl - e.g. "http://localhost:11434/v1" (a full .../chat/completions URL is kept as is)
+   * @returns {string} Endpoint URL
+   */
+  getChatCompletionsUrl(baseUrl) {
+    const url = (baseUrl || '').trim().replace(/\/+$/, '');
+    return /\/chat\/completions$/.test(url) ? url : `${url}/chat/completions`;
+  }
+
+  /**
+   * Categorize email into an application status
    * @param {Object} email - Email object with subject, from, body
-   * @returns {Promise<boolean>} True if job application confirmation
+   * @returns {Promise<string|null>} Application status, or null if not about a job application
+   *   (the model's confidence is in lastConfidence)
    */
   async categorizeEmail(email) {
+    const cached = await this.getCached('categorization', email);
+    if (cached) {
+      this.lastPromptVersion = cached.value.prompt;
+      this.lastConfidence = cached.value.confidence;
+      return cached.value.status;
+    }
+
     const prompt = this.buildCategorizationPrompt(email);
 
     try {
-      const response = await this.callAI(prompt);
-      const answer = response.toLowerCase().trim();
-
-      // Check for affirmative response
-      return answer.includes('yes') || answer === 'true' || answer === '1';
+      const result = await this.callStructured(prompt, 'categorization', 'categorization');
+      const status = this.labelToStatus(result.label);
+      this.lastPromptVersion = this.getPromptVersion('categorization');
+      this.lastConfidence = this.normalizeConfidence(result.confidence);
+      await this.setCached('categorization', email, {
+        status,
+        confidence: this.lastConfidence,
+        prompt: this.lastPromptVersion
+      });
+      return status;
     } catch (error) {
       console.error('Email categorization failed:', error);
+      // Typed errors keep their type (rate limits are retried, invalid responses are reported as such)
+      if (error instanceof AIProviderError) throw error;
       throw new Error(`Failed to categorize email: ${error.message}`);
     }
   }
 
+  /**
+   * Convert a schema-validated label into a status
+   * @param {string} label - NOT_JOB or an uppercase status
+   * @returns {string|null} Application status or null for NOT_JOB
+   */
+  labelToStatus(label) {
+    return label === 'NOT_JOB' ? null : ApplicationStatus.normalize(label);
+  }
+
+  /**
+   * Categorize several emails in one request
+   * @param {Array} emails - Email objects with subject, from, body
+   * @returns {Promise<Array>} One entry per email: status, null for NOT_JOB, or undefined when the
+   *   response had no valid verdict for it (the caller should classify that email individually).
+   *   The prompt version and confidence behind each entry are in lastBatchPromptVersions and lastBatchConfidences.
+   */
+  async categorizeBatch(emails) {
+    const results = new Array(emails.length).fill(undefined);
+    const promptVersions = new Array(emails.length).fill(null);
+    const confidences = new Array(emails.length).fill(null);
+    const uncached = [];
+    this.lastBatchPromptVersions = promptVersions;
+    this.lastBatchConfidences = confidences;
+
+    for (let i = 0; i < emails.length; i++) {
+      const cached = await this.getCached('categorization', emails[i]);
+      if (cached) {
+        results[i] = cached.value.status;
+        promptVersions[i] = cached.value.prompt;
+        confidences[i] = cached.value.confidence;
+      } else {
+        uncached.push(i);
+      }
+    }
+
+    if (uncached.length === 0) {
+      return results;
+    }
+
+    const prompt = this.buildBatchCategorizationPrompt(uncached.map(i => emails[i]));
+
+    try {
+      const result = await this.callStructured(prompt, 'categorization', 'batch_categorization');
+      const verdicts = this.collectBatchVerdicts(result.results, uncached.length);
+      const promptVersion = this.getPromptVersion('batch_categorization');
+
+      for (let j = 0; j < uncached.length; j++) {
+        if (!verdicts[j]) continue;
+
+        const { status, confidence } = verdicts[j];
+        results[uncached[j]] = status;
+        promptVersions[uncached[j]] = promptVersion;
+        confidences[uncached[j]] = confidence;
+        await this.setCached('categorization', emails[uncached[j]], { status, confidence, prompt: promptVersion });
+      }
+
+      return results;
+    } catch (error) {
+      console.error('Batch categorization failed:', error);
+      if (error instanceof AIProviderError) throw error;
+      throw new Error(`Failed to categorize batch: ${error.message}`);
+    }
+  }
+
+  /**
+   * Collect batch verdicts by email position
+   * The schema guarantees each verdict's shape; verdicts with an index outside the batch or a
+   * duplicate index are ignored, and emails without a verdict are left undefined.
+   * @param {Array} verdicts - Validated [{index, label, confidence}] from the response
+   * @param {number} count - Number of emails in the batch
+   * @returns {Array} {status, confidence} by position (undefined where no valid verdict was returned)
+   */
+  collectBatchVerdicts(verdicts, count) {
+    const results = new Array(count).fill(undefined);
+    const seen = new Set();
+
+    for (const { index, label, confidence } of verdicts) {
+      if (index < 1 || index > count || seen.has(index)) continue;
+      seen.add(index);
+      results[index - 1] = { status: this.labelToStatus(label), confidence: this.normalizeConfidence(confidence) };
+    }
+
+    return results;
+  }
+
   /**
    * Extract job application information from email
    * @param {Object} email - Email object
-   * @returns {Promise<Object>} Extracted information {company, position, application_date}
+   * @returns {Promise<Object>} Extracted information {company, position, confidence, application_date, prompt_version}
    */
   async extractInformation(email) {
+    // The extraction cache key has the template version, so a hit came from the current prompt
+    const promptVersion = this.getPromptVersion('extraction');
+    const cached = await this.getCached('extraction', email);
+    if (cached) {
+      return { ...cached.value, application_date: this.validateDate(email.date), prompt_version: promptVersion };
+    }
+
     const prompt = this.buildExtractionPrompt(email);
 
     try {
-      const response = await this.callAI(prompt);
-      console.log('AI Extraction Response:', response);
-
-      const data = this.parseExtractionResponse(response);
+      const result = await this.callStructured(prompt, 'extraction', 'extraction');
+      const data = this.cleanExtraction(result);
+      data.prompt_version = promptVersion;
       console.log('Parsed Extraction Data:', data);
 
       // Always use email date for application_date
@@ -61,6 +329,21 @@ class AIProvider {
 
       // Return data even if some fields are missing
       console.log('Final extracted data:', data);
+      await this.setCached('extraction', email, {
+        company: data.company,
+        position: data.position,
+        location: data.location,
+        work_mode: data.work_mode,
+        requisition_id: data.requisition_id,
+        job_url: data.job_url,
+        ats_platform: data.ats_platform,
+        salary_min: data.salary_min,
+        salary_max: data.salary_max,
+        salary_currency: data.salary_currency,
+        salary_period: data.salary_period,
+        salary_basis: data.salary_basis,
+        confidence: data.confidence
+      });
       return data;
     } catch (error) {
       console.error('Information extraction failed:', error);
@@ -71,145 +354,327 @@ class AIProvider {
   }
 
   /**
-   * Build categorization prompt
+   * Build the cache key for a task on an email
+   * Only the email fields the prompts use are part of the key.
+   * @param {string} task - 'categorization' or 'extraction'
    * @param {Object} email - Email object
-   * @returns {string} Prompt text
+   * @param {string} provider - Provider whose result is cached (default the primary provider)
+   * @returns {Array} Key parts
    */
-  buildCategorizationPrompt(email) {
-    return `Analyze this email to determine if it is a job application confirmation/acknowledgment.
+  getCacheKey(task, email, provider = this.provider) {
+    // The examples a prompt would include are part of the key, so a new correction is not hidden by a cached result
+    const examples = this.selectExamples(task, [email]).map(example => `${example.id}:${example.label}`).join(',');
+    return [
+      task, provider, this.getModel(provider, task), this.promptVersions[task], this.schemaVersion,
+      examples, email.subject, email.from, email.body
+    ];
+  }
 
-STRONG INDICATORS (if ANY are present, likely YES):
-Subject contains: "thank you for applying", "application received", "thank you for your application", "application submitted", "submission received", "we received your application"
+  /**
+   * Pick the labeled examples for a prompt
+   * Extraction only learns from job emails with a company to show.
+   * @param {string} name - Template name
+   * @param {Array} emails - Emails the prompt is for
+   * @returns {Array} Examples, most similar first
+   */
+  selectExamples(name, emails) {
+    const candidates = name === 'extraction'
+      ? this.examples.filter(example => example.label !== 'not_job' && example.company)
+      : this.examples;
+    return this.exampleStore.selectRelevant(candidates, emails, this.exampleLimits[name]);
+  }
 
-Body contains: "thank you for applying", "application has been received", "we received your application", "your application for the", "application submitted successfully"
+  /**
+   * Format examples for the {{examples}} placeholder
+   * @param {string} name - Template name
+   * @param {Array} examples - Examples from selectExamples
+   * @returns {string} Prompt section, or '' when there are none
+   */
+  formatExamples(name, examples) {
+    if (examples.length === 0) return '';
 
-From domains: greenhouse-mail.io, greenhouse.io, lever.co, ashbyhq.com, myworkday.com, gem.com, workable.com, taleo.net, icims.com, smartrecruiters.com, appreview.gem.com
+    const entries = examples.map(example => {
+      const email = `Subject: ${example.subject}
+From: ${example.from}
+Body: ${example.snippet}`;
+      if (name === 'extraction') {
+        return `${email}
+Answer: ${JSON.stringify({ company: example.company, position: example.position })}`;
+      }
+      return `${email}
+Label: ${example.label.toUpperCase()}`;
+    });
 
-CONFIRMATION EMAIL TYPES TO DETECT:
-1. Immediate auto-reply after application submission
-2. Acknowledgment from company recruiting/HR team
-3. ATS system confirmation emails
-4. Application status notifications (received/under review)
+    return `EXAMPLES FROM MY EARLIER CORRECTIONS (answer similar emails the same way):
 
-CRITICAL EXCLUSIONS (answer NO):
-- REJECTION emails containing: "unfortunately", "not moving forward", "position has been filled", "decided not to", "not been selected", "have not been selected", "will not be moving forward", "have reviewed your resume", "carefully considered your qualifications", "you have not been selected"
-- Emails that say "thank you for your interest" BUT also mention rejection, not being selected, or moving forward with other candidates
-- Interview invitations or scheduling
-- Job alerts/recommendations from job boards
-- Marketing emails from recruiting platforms
-- Cold recruiter outreach (not responding to YOUR application)
-- General company newsletters
-- Follow-up emails after rejection
+${entries.join('\n\n')}`;
+  }
 
-EMAIL TO ANALYZE:
-Subject: ${email.subject}
-From: ${email.from}
-Body: ${email.body.substring(0, 1000)}
+  /**
+   * Look up a cached result for a task
+   * @param {string} task - 'categorization' or 'extraction'
+   * @param {Object} email - Email object
+   * @returns {Promise<Object|null>} {value} on a hit, null on a miss or when the cache is off/bypassed
+   */
+  async getCached(task, email) {
+    if (!this.cache || this.bypassCache) return null;
 
-IMPORTANT RULES:
-1. If the email mentions "not been selected", "not moving forward", "decided not to", or "carefully considered" followed by rejection language, answer NO even if it says "thank you for your interest"
-2. Only answer YES if the email is confirming receipt/submission of an application WITHOUT rejecting it
-3. Rejection emails that thank you for applying should be NO
+    const hit = await this.cache.get(this.getCacheKey(task, email));
+    if (hit) {
+      this.cacheHits++;
+      this.lastProvider = 'cache';
+      console.log(`Using cached ${task} result for: "${email.subject}"`);
+    }
+    return hit;
+  }
 
-Answer (YES or NO):`;
+  /**
+   * Store a result for a task under the provider that produced it
+   * @param {string} task - 'categorization' or 'extraction'
+   * @param {Object} email - Email object
+   * @param {any} value - Result to cache
+   * @returns {Promise<void>}
+   */
+  async setCached(task, email, value) {
+    if (!this.cache) return;
+    await this.cache.set(this.getCacheKey(task, email, this.lastProvider || this.provider), value);
   }
 
   /**
-   * Build extraction prompt
+   * Build categorization prompt
    * @param {Object} email - Email object
+   * @param {string} template - Template text instead of the saved one (prompt editor tests)
    * @returns {string} Prompt text
    */
-  buildExtractionPrompt(email) {
-    return `Extract company name and job position from this job application confirmation email.
+  buildCategorizationPrompt(email, template) {
+    return this.templates.render('categorization', {
+      subject: email.subject,
+      from: email.from,
+      body: (email.body || '').substring(0, 1000),
+      examples: this.formatExamples('categorization', this.selectExamples('categorization', [email]))
+    }, template);
+  }
 
-EMAIL:
+  /**
+   * Build a prompt that classifies several emails in one request
+   * Bodies are shorter than in the single-email prompt to keep the request small.
+   * @param {Array} emails - Email objects
+   * @param {string} template - Template text instead of the saved one (prompt editor tests)
+   * @returns {string} Prompt text
+   */
+  buildBatchCategorizationPrompt(emails, template) {
+    const emailList = emails.map((email, index) => `[EMAIL ${index + 1}]
 Subject: ${email.subject}
 From: ${email.from}
-Body: ${email.body}
+Body: ${(email.body || '').substring(0, 600)}`).join('\n\n');
 
-EXTRACT:
-1. COMPANY NAME:
-   - Look in subject: "Thank you for applying to [Company]"
-   - Look in body: company name mentioned, email signature
-   - From domain: @databricks.com → "Databricks", GDIT@myworkday.com → "GDIT"
-   - If using ATS (greenhouse, ashby, workday, gem): find the actual company in the email text
+    return this.templates.render('batch_categorization', {
+      count: emails.length,
+      emails: emailList,
+      examples: this.formatExamples('batch_categorization', this.selectExamples('batch_categorization', emails))
+    }, template);
+  }
 
-2. JOB POSITION (if available):
-   - Look for: "for the [position] role", "your application for [position]"
-   - Job titles in email: "Senior Engineer", "Data Scientist", etc.
-   - If you cannot find position, use null
+  /**
+   * Build extraction prompt
+   * @param {Object} email - Email object
+   * @param {string} template - Template text instead of the saved one (prompt editor tests)
+   * @returns {string} Prompt text
+   */
+  buildExtractionPrompt(email, template) {
+    return this.templates.render('extraction', {
+      subject: email.subject,
+      from: email.from,
+      body: email.body,
+      examples: this.formatExamples('extraction', this.selectExamples('extraction', [email]))
+    }, template);
+  }
 
-IMPORTANT:
-- Extract at least the company name
-- Position can be null if not found
-- Do NOT extract or include application_date in your response
+  /**
+   * Build the prompt a template produces for one email
+   * @param {string} name - Template name
+   * @param {Object} email - Email object with subject, from, body
+   * @param {string} template - Template text instead of the saved one (optional)
+   * @returns {string} Prompt text
+   */
+  buildPrompt(name, email, template) {
+    if (name === 'batch_categorization') {
+      return this.buildBatchCategorizationPrompt([email], template);
+    }
+    if (name === 'extraction') {
+      return this.buildExtractionPrompt(email, template);
+    }
+    return this.buildCategorizationPrompt(email, template);
+  }
 
-OUTPUT (JSON only, no extra text):
-{
-  "company": "Company Name or null",
-  "position": "Job Title or null"
-}`;
+  /**
+   * Run a template against one email, for the prompt editor's test
+   * The cache is skipped in both directions, so an edited template always gets a fresh answer.
+   * @param {string} name - Template name
+   * @param {Object} email - Email object with subject, from, body
+   * @param {string} template - Template text, possibly unsaved
+   * @returns {Promise<Object>} {prompt, result, provider, model} where result is the validated response
+   */
+  async testPrompt(name, email, template) {
+    const prompt = this.buildPrompt(name, email, template);
+    const task = name === 'extraction' ? 'extraction' : 'categorization';
+    const result = await this.callStructured(prompt, task, name);
+    return { prompt, result, provider: this.lastProvider, model: this.getModel(this.lastProvider, task) };
   }
 
   /**
-   * Call AI provider with prompt
+   * Call the AI with a prompt, falling back through the provider chain
+   * Providers that are down (bad key, no quota, server or network errors) are skipped for the
+   * next one; rate limits and bad requests are thrown so the caller can retry.
    * @param {string} prompt - Prompt text
+   * @param {string} task - 'categorization' or 'extraction', which picks the model
+   * @param {Object} schema - Response schema {name, schema} for structured output (optional)
    * @returns {Promise<string>} AI response
    */
-  async callAI(prompt) {
-    switch (this.provider) {
+  async callAI(prompt, task = 'categorization', schema = null) {
+    let lastError = null;
+
+    for (const { provider, apiKey } of this.chain) {
+      if (this.circuitBreaker.isOpen(provider)) continue;
+
+      try {
+        const text = await this.callProvider(provider, apiKey, prompt, this.getModel(provider, task), schema);
+        this.circuitBreaker.recordSuccess(provider);
+        this.lastProvider = provider;
+        return text;
+      } catch (error) {
+        if (!(error instanceof AIProviderError) || !error.failover) {
+          throw error;
+        }
+        console.warn(`${this.providerNames[provider]} failed (${error.type}), trying the next provider:`, error.message);
+        this.circuitBreaker.recordFailure(provider, error);
+        lastError = error;
+      }
+    }
+
+    throw lastError || new AIProviderError('All AI providers are unavailable after repeated failures', {
+      provider: this.provider,
+      type: 'unavailable'
+    });
+  }
+
+  /**
+   * Call one provider's API
+   * @param {string} provider - Provider name
+   * @param {string} apiKey - API key for the provider
+   * @param {string} prompt - Prompt text
+   * @param {string} model - Model name
+   * @param {Object} schema - Response schema {name, schema} for structured output (optional)
+   * @returns {Promise<string>} AI response (JSON text in structured mode)
+   */
+  async callProvider(provider, apiKey, prompt, model, schema = null) {
+    switch (provider) {
       case 'openai':
-        return await this.callOpenAI(prompt);
+        return await this.callOpenAI(prompt, apiKey, model, schema);
       case 'gemini':
-        return await this.callGemini(prompt);
+        return await this.callGemini(prompt, apiKey, model, schema);
       case 'claude':
-        return await this.callClaude(prompt);
+        return await this.callClaude(prompt, apiKey, model, schema);
       case 'deepseek':
-        return await this.callDeepSeek(prompt);
+        return await this.callDeepSeek(prompt, apiKey, model, schema);
+      case 'custom':
+        return await this.callCustom(prompt, apiKey, model, schema);
       default:
-        throw new Error(`Unsupported provider: ${this.provider}`);
+        throw new Error(`Unsupported provider: ${provider}`);
     }
   }
 
   /**
-   * Call OpenAI API
+   * Send a request to a provider, turning network and HTTP failures into AIProviderErrors
+   * @param {string} provider - Provider name
+   * @param {string} url - Endpoint URL
+   * @param {Object} options - fetch options
+   * @returns {Promise<Response>} Successful response
+   */
+  async request(provider, url, options) {
+    const timeoutMs = this.timeouts[provider];
+    const controller = timeoutMs ? new AbortController() : null;
+    const timer = controller ? setTimeout(() => controller.abort(), timeoutMs) : null;
+
+    let response;
+    try {
+      response = await fetch(url, controller ? { ...options, signal: controller.signal } : options);
+    } catch (error) {
+      const reason = error.name === 'AbortError' ? `no response within ${timeoutMs / 1000}s` : error.message;
+      throw new AIProviderError(`${this.providerNames[provider]} is unreachable: ${reason}`, {
+        provider,
+        type: 'network'
+      });
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (!response.ok) {
+      let message = `${this.providerNames[provider]} API error`;
+      try {
+        const error = await response.json();
+        message = error.error?.message || message;
+      } catch (parseError) {
+        // Non-JSON error page (e.g. a gateway error); keep the generic message
+      }
+      throw AIProviderError.fromResponse(provider, response.status, message);
+    }
+
+    return response;
+  }
+
+  /**
+   * Call OpenAI API (structured outputs with a strict JSON schema)
    * @param {string} prompt - Prompt text
+   * @param {string} apiKey - API key
+   * @param {string} model - Model name
+   * @param {Object} schema - Response schema {name, schema} for structured output (optional)
    * @returns {Promise<string>} Response text
    */
-  async callOpenAI(prompt) {
-    const response = await fetch(this.endpoints.openai, {
+  async callOpenAI(prompt, apiKey = this.apiKey, model = this.models.openai, schema = null) {
+    const response = await this.request('openai', this.endpoints.openai, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
-        'Authorization': `Bearer ${this.apiKey}`
+        'Authorization': `Bearer ${apiKey}`
       },
       body: JSON.stringify({
-        model: 'gpt-4o-mini',
+        model,
         messages: [
           { role: 'user', content: prompt }
         ],
         temperature: 0.1,
-        max_tokens: 500
+        max_tokens: 500,
+        ...(schema && {
+          response_format: {
+            type: 'json_schema',
+            json_schema: { name: schema.name, schema: schema.schema, strict: true }
+          }
+        })
       })
     });
 
-    if (!response.ok) {
-      const error = await response.json();
-      throw new Error(error.error?.message || 'OpenAI API error');
-    }
-
     const data = await response.json();
-    return data.choices[0].message.content.trim();
+    // A refusal has no content; it then fails schema validation like any other bad answer
+    const text = (data.choices[0].message.content || '').trim();
+    this.recordUsage('openai', model, prompt, text, data.usage && {
+      inputTokens: data.usage.prompt_tokens,
+      outputTokens: data.usage.completion_tokens
+    });
+    return text;
   }
 
   /**
-   * Call Google Gemini API
+   * Call Google Gemini API (JSON mode with a response schema)
    * @param {string} prompt - Prompt text
+   * @param {string} apiKey - API key
+   * @param {string} model - Model name
+   * @param {Object} schema - Response schema {name, schema} for structured output (optional)
    * @returns {Promise<string>} Response text
    */
-  async callGemini(prompt) {
-    const url = `${this.endpoints.gemini}?key=${this.apiKey}`;
-    const response = await fetch(url, {
+  async callGemini(prompt, apiKey = this.apiKey, model = this.models.gemini, schema = null) {
+    const url = `${this.endpoints.gemini}/${model}:generateContent?key=${apiKey}`;
+    const response = await this.request('gemini', url, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json'
@@ -222,114 +687,397 @@ OUTPUT (JSON only, no extra text):
         }],
         generationConfig: {
           temperature: 0.1,
-          maxOutputTokens: 500
+          maxOutputTokens: 500,
+          ...(schema && {
+            responseMimeType: 'application/json',
+            responseSchema: this.toGeminiSchema(schema.schema)
+          })
         }
       })
     });
 
-    if (!response.ok) {
-      const error = await response.json();
-      throw new Error(error.error?.message || 'Gemini API error');
-    }
-
     const data = await response.json();
-    return data.candidates[0].content.parts[0].text.trim();
+    const text = (data.candidates?.[0]?.content?.parts?.[0]?.text || '').trim();
+    this.recordUsage('gemini', model, prompt, text, data.usageMetadata && {
+      inputTokens: data.usageMetadata.promptTokenCount,
+      outputTokens: data.usageMetadata.candidatesTokenCount
+    });
+    return text;
   }
 
   /**
-   * Call Anthropic Claude API
+   * Call Anthropic Claude API (a forced tool call whose input schema is the response schema)
    * @param {string} prompt - Prompt text
+   * @param {string} apiKey - API key
+   * @param {string} model - Model name
+   * @param {Object} schema - Response schema {name, schema} for structured output (optional)
    * @returns {Promise<string>} Response text
    */
-  async callClaude(prompt) {
-    const response = await fetch(this.endpoints.claude, {
+  async callClaude(prompt, apiKey = this.apiKey, model = this.models.claude, schema = null) {
+    const response = await this.request('claude', this.endpoints.claude, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
-        'x-api-key': this.apiKey,
+        'x-api-key': apiKey,
         'anthropic-version': '2023-06-01'
       },
       body: JSON.stringify({
-        model: 'claude-3-5-haiku-20241022',
+        model,
         max_tokens: 500,
         temperature: 0.1,
         messages: [
           { role: 'user', content: prompt }
-        ]
+        ],
+        ...(schema && {
+          tools: [{
+            name: schema.name,
+            description: 'Record the answer in the required format',
+            input_schema: schema.schema
+          }],
+          tool_choice: { type: 'tool', name: schema.name }
+        })
       })
     });
 
-    if (!response.ok) {
-      const error = await response.json();
-      throw new Error(error.error?.message || 'Claude API error');
-    }
-
     const data = await response.json();
-    return data.content[0].text.trim();
+    const toolUse = data.content.find(block => block.type === 'tool_use');
+    const textBlock = data.content.find(block => block.type === 'text');
+    const text = toolUse ? JSON.stringify(toolUse.input) : (textBlock ? textBlock.text.trim() : '');
+    this.recordUsage('claude', model, prompt, text, data.usage && {
+      inputTokens: data.usage.input_tokens,
+      outputTokens: data.usage.output_tokens
+    });
+    return text;
   }
 
   /**
-   * Call DeepSeek API
+   * Call DeepSeek API (JSON mode; DeepSeek has no schema parameter, so the schema goes in the prompt)
    * @param {string} prompt - Prompt text
+   * @param {string} apiKey - API key
+   * @param {string} model - Model name
+   * @param {Object} schema - Response schema {name, schema} for structured output (optional)
    * @returns {Promise<string>} Response text
    */
-  async callDeepSeek(prompt) {
-    const response = await fetch(this.endpoints.deepseek, {
+  async callDeepSeek(prompt, apiKey = this.apiKey, model = this.models.deepseek, schema = null) {
+    const content = schema
+      ? `${prompt}\n\nRespond with a json object that matches this JSON schema:\n${JSON.stringify(schema.schema)}`
+      : prompt;
+    const response = await this.request('deepseek', this.endpoints.deepseek, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
-        'Authorization': `Bearer ${this.apiKey}`
+        'Authorization': `Bearer ${apiKey}`
       },
       body: JSON.stringify({
-        model: 'deepseek-chat',
+        model,
         messages: [
-          { role: 'user', content: prompt }
+          { role: 'user', content }
         ],
         temperature: 0.1,
-        max_tokens: 500
+        max_tokens: 500,
+        ...(schema && { response_format: { type: 'json_object' } })
       })
     });
 
-    if (!response.ok) {
-      const error = await response.json();
-      throw new Error(error.error?.message || 'DeepSeek API error');
+    const data = await response.json();
+    const text = (data.choices[0].message.content || '').trim();
+    this.recordUsage('deepseek', model, content, text, data.usage && {
+      inputTokens: data.usage.prompt_tokens,
+      outputTokens: data.usage.completion_tokens
+    });
+    return text;
+  }
+
+  /**
+   * Call an OpenAI-compatible server (Ollama, LM Studio, llama.cpp, vLLM, ...)
+   * Uses the OpenAI json_schema response format, which these servers implement with grammar-constrained decoding.
+   * @param {string} prompt - Prompt text
+   * @param {string} apiKey - API key, if the server needs one
+   * @param {string} model - Model name
+   * @param {Object} schema - Response schema {name, schema} for structured output (optional)
+   * @returns {Promise<string>} Response text
+   */
+  async callCustom(prompt, apiKey = this.apiKey, model = this.models.custom, schema = null) {
+    if (!this.endpoints.custom || !model) {
+      throw new Error('Custom provider needs a base URL and model (see Advanced Settings)');
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) {
+      headers['Authorization'] = `Bearer ${apiKey}`;
     }
 
+    const response = await this.request('custom', this.endpoints.custom, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model,
+        messages: [
+          { role: 'user', content: prompt }
+        ],
+        temperature: 0.1,
+        max_tokens: 500,
+        stream: false,
+        ...(schema && {
+          response_format: {
+            type: 'json_schema',
+            json_schema: { name: schema.name, schema: schema.schema, strict: true }
+          }
+        })
+      })
+    });
+
     const data = await response.json();
-    return data.choices[0].message.content.trim();
+    const text = (data.choices?.[0]?.message?.content || '').trim();
+    this.recordUsage('custom', model, prompt, text, data.usage && {
+      inputTokens: data.usage.prompt_tokens,
+      outputTokens: data.usage.completion_tokens
+    });
+    return text;
   }
 
   /**
-   * Parse extraction response to get structured data
-   * @param {string} response - AI response text
-   * @returns {Object} Parsed data
+   * Convert a JSON schema to Gemini's response schema format (OpenAPI-style types, nullable flag)
+   * @param {Object} schema - JSON schema
+   * @returns {Object} Gemini schema
    */
-  parseExtractionResponse(response) {
-    try {
-      // Try to find JSON in the response
-      const jsonMatch = response.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        const data = JSON.parse(jsonMatch[0]);
-
-        // Clean and validate data - handle null/"null" strings
-        const cleanValue = (val) => {
-          if (!val || val === 'null' || val === 'NULL' || val === 'None') return null;
-          return val.trim();
-        };
-
-        return {
-          company: cleanValue(data.company),
-          position: cleanValue(data.position),
-          application_date: null // Will be set from email date
-        };
+  toGeminiSchema(schema) {
+    const types = [].concat(schema.type || []);
+    const result = {};
+
+    const type = types.find(t => t !== 'null');
+    if (type) result.type = type.toUpperCase();
+    if (types.includes('null')) result.nullable = true;
+    if (schema.enum) result.enum = schema.enum.filter(value => value !== null); // Gemini enums are strings only
+
+    if (schema.properties) {
+      result.properties = {};
+      for (const [key, property] of Object.entries(schema.properties)) {
+        result.properties[key] = this.toGeminiSchema(property);
+      }
+      result.required = schema.required || [];
+    }
+    if (schema.items) {
+      result.items = this.toGeminiSchema(schema.items);
+    }
+
+    return result;
+  }
+
+  /**
+   * Record token usage and cost for one API call
+   * Uses the token counts the API reported, or estimates them from the text when it didn't.
+   * @param {string} provider - Provider that handled the call
+   * @param {string} model - Model that handled the call
+   * @param {string} prompt - Prompt sent
+   * @param {string} responseText - Response text received
+   * @param {Object|null} reported - {inputTokens, outputTokens} from the API response
+   */
+  recordUsage(provider, model, prompt, responseText, reported) {
+    const estimated = !reported || !Number.isFinite(reported.inputTokens) || !Number.isFinite(reported.outputTokens);
+    const inputTokens = estimated ? this.estimateTokens(prompt) : reported.inputTokens;
+    const outputTokens = estimated ? this.estimateTokens(responseText) : reported.outputTokens;
+    const cost = this.calculateCost(model, inputTokens, outputTokens);
+
+    if (!this.usage.byProvider[provider]) {
+      this.usage.byProvider[provider] = { model, calls: 0, inputTokens: 0, outputTokens: 0, estimatedCalls: 0, cost: 0 };
+    }
+
+    for (const totals of [this.usage, this.usage.byProvider[provider]]) {
+      totals.calls++;
+      totals.inputTokens += inputTokens;
+      totals.outputTokens += outputTokens;
+      totals.estimatedCalls += estimated ? 1 : 0;
+      totals.cost += cost;
+    }
+  }
+
+  /**
+   * Estimate the tokens and cost of a request before it is sent, for the budget check
+   * @param {string} name - Template name: 'categorization', 'batch_categorization' or 'extraction'
+   * @param {Array} emails - Emails the request covers (only the first unless batched)
+   * @returns {Object} {tokens, cost} with the primary provider's model
+   */
+  estimateRequest(name, emails) {
+    const prompt = name === 'batch_categorization'
+      ? this.buildBatchCategorizationPrompt(emails)
+      : this.buildPrompt(name, emails[0]);
+    const inputTokens = this.estimateTokens(prompt);
+    const outputTokens = this.expectedOutputTokens[name] * (name === 'batch_categorization' ? emails.length : 1);
+    const model = this.getModel(this.chain[0].provider, name === 'extraction' ? 'extraction' : 'categorization');
+
+    return { tokens: inputTokens + outputTokens, cost: this.calculateCost(model, inputTokens, outputTokens) };
+  }
+
+  /**
+   * Estimate the token count of a text (about 4 characters per token)
+   * @param {string} text - Text
+   * @returns {number} Estimated tokens
+   */
+  estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+  }
+
+  /**
+   * Calculate the cost of a call from the price table
+   * @param {string} model - Model name
+   * @param {number} inputTokens - Input tokens
+   * @param {number} outputTokens - Output tokens
+   * @returns {number} Cost in USD (0 for models without a price)
+   */
+  calculateCost(model, inputTokens, outputTokens) {
+    const price = this.prices[model];
+    if (!price) return 0;
+
+    return (inputTokens * (price.input || 0) + outputTokens * (price.output || 0)) / 1000000;
+  }
+
+  /**
+   * Get token usage and cost since this provider was created (or last reset)
+   * @returns {Object} {calls, inputTokens, outputTokens, estimatedCalls, cost, byProvider}
+   */
+  getUsage() {
+    return JSON.parse(JSON.stringify(this.usage));
+  }
+
+  /**
+   * Reset usage counters
+   */
+  resetUsage() {
+    this.usage = { calls: 0, inputTokens: 0, outputTokens: 0, estimatedCalls: 0, cost: 0, byProvider: {} };
+  }
+
+  /**
+   * Clean schema-validated extraction fields
+   * @param {Object} result - Extraction response (see the extraction schema)
+   * @returns {Object} {company, position, location, work_mode, requisition_id, job_url, ats_platform,
+   *   salary_min, salary_max, salary_currency, salary_period, salary_basis, confidence, application_date: null}
+   */
+  cleanExtraction(result) {
+    // Models sometimes write "null" as a string instead of null
+    const cleanValue = (val) => {
+      if (!val || ['null', 'none', 'n/a', 'unknown'].includes(val.trim().toLowerCase())) return null;
+      return val.trim();
+    };
+
+    const workMode = (cleanValue(result.work_mode) || '').toLowerCase().replace(/[^a-z]/g, '');
+    const jobUrl = cleanValue(result.job_url);
+    const amount = (val) => typeof val === 'number' && Number.isFinite(val) && val > 0 ? val : null;
+    const currency = (cleanValue(result.salary_currency) || '').toUpperCase();
+
+    return {
+      company: cleanValue(result.company),
+      position: cleanValue(result.position),
+      location: cleanValue(result.location),
+      work_mode: this.workModes.includes(workMode) ? workMode : null,
+      requisition_id: cleanValue(result.requisition_id),
+      job_url: jobUrl && /^https?:\/\//i.test(jobUrl) ? jobUrl : null, // Models sometimes invent relative or bare links
+      ats_platform: cleanValue(result.ats_platform),
+      salary_min: amount(result.salary_min),
+      salary_max: amount(result.salary_max),
+      salary_currency: /^[A-Z]{3}$/.test(currency) ? currency : null,
+      salary_period: this.salaryPeriods.includes(result.salary_period) ? result.salary_period : null,
+      salary_basis: this.salaryBases.includes(result.salary_basis) ? result.salary_basis : null,
+      confidence: this.normalizeConfidence(result.confidence),
+      application_date: null // Will be set from email date
+    };
+  }
+
+  /**
+   * Bring a model's confidence into the 0-1 range
+   * Some models answer in percent (e.g. 85) despite the prompt asking for 0-1.
+   * @param {number} value - Confidence from a validated response
+   * @returns {number} Confidence between 0 and 1
+   */
+  normalizeConfidence(value) {
+    const confidence = value > 1 && value <= 100 ? value / 100 : value;
+    return Math.min(1, Math.max(0, confidence));
+  }
+
+  /**
+   * Call the AI in structured-output mode and validate the result against the schema
+   * A response that isn't valid JSON or doesn't match the schema gets one repair attempt, with
+   * the problems listed in the prompt; if that fails too, an invalid_response error is thrown.
+   * @param {string} prompt - Prompt text
+   * @param {string} task - 'categorization' or 'extraction', which picks the model
+   * @param {string} schemaName - Key in this.schemas
+   * @returns {Promise<Object>} Validated response object
+   */
+  async callStructured(prompt, task, schemaName) {
+    const schema = this.schemas[schemaName];
+
+    let response = await this.callAI(prompt, task, schema);
+    let result = this.parseStructuredResponse(response, schema.schema);
+    if (result.errors.length === 0) {
+      return result.value;
+    }
+
+    console.warn(`Invalid ${schemaName} response, asking for a repair:`, result.errors);
+    response = await this.callAI(this.buildRepairPrompt(prompt, response, result.errors), task, schema);
+    result = this.parseStructuredResponse(response, schema.schema);
+    if (result.errors.length === 0) {
+      return result.value;
+    }
+
+    throw new AIProviderError(
+      `${this.providerNames[this.lastProvider] || this.lastProvider} returned an invalid ${schemaName.replace('_', ' ')} response: ${result.errors.slice(0, 3).join('; ')}`,
+      {
+        provider: this.lastProvider,
+        type: 'invalid_response',
+        task: schemaName,
+        validationErrors: result.errors,
+        response
       }
+    );
+  }
 
-      throw new Error('No JSON found in response');
+  /**
+   * Parse a structured response and validate it
+   * Native structured modes return bare JSON; code fences and surrounding text are tolerated for
+   * providers that only follow the format instruction in the prompt.
+   * @param {string} response - Response text
+   * @param {Object} schema - JSON schema
+   * @returns {Object} {value, errors}
+   */
+  parseStructuredResponse(response, schema) {
+    const text = (response || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+
+    let value;
+    try {
+      value = JSON.parse(text);
     } catch (error) {
-      console.error('Failed to parse extraction response:', error);
-      console.error('Response was:', response);
-      throw new Error('Failed to parse AI response');
+      const jsonMatch = text.match(/\{[\s\S]*\}/);
+      try {
+        value = jsonMatch ? JSON.parse(jsonMatch[0]) : undefined;
+      } catch (innerError) {
+        value = undefined;
+      }
     }
+
+    if (value === undefined) {
+      return { value: null, errors: ['Response is not valid JSON'] };
+    }
+
+    return { value, errors: this.validator.validate(value, schema) };
+  }
+
+  /**
+   * Build a prompt asking the model to fix an invalid answer
+   * @param {string} prompt - Original prompt
+   * @param {string} response - Invalid response
+   * @param {string[]} errors - Validation errors
+   * @returns {string} Prompt text
+   */
+  buildRepairPrompt(prompt, response, errors) {
+    return `${prompt}
+
+YOUR PREVIOUS ANSWER WAS INVALID:
+${(response || '').substring(0, 1000)}
+
+PROBLEMS:
+${errors.slice(0, 10).map(error => `- ${error}`).join('\n')}
+
+Answer again with a JSON object only, in exactly the required format.`;
   }
 
   /**
@@ -353,6 +1101,118 @@ OUTPUT (JSON only, no extra text):
     }
   }
 
+  /**
+   * List the models a provider offers for text generation
+   * @param {string} provider - Provider name (default the primary provider)
+   * @param {string} apiKey - API key for the provider
+   * @returns {Promise<string[]>} Sorted model names
+   */
+  async listModels(provider = this.provider, apiKey = this.apiKey) {
+    const bearer = apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {};
+    let models;
+
+    switch (provider) {
+      case 'openai': {
+        const response = await this.request(provider, 'https://api.openai.com/v1/models', { headers: bearer });
+        // The list includes embedding, audio and image models that can't answer chat prompts
+        models = (await response.json()).data.map(model => model.id)
+          .filter(id => /^(?:gpt-|o\d|chatgpt-)/.test(id) && !/audio|realtime|transcribe|tts|image|search/.test(id));
+        break;
+      }
+      case 'deepseek': {
+        const response = await this.request(provider, 'https://api.deepseek.com/models', { headers: bearer });
+        models = (await response.json()).data.map(model => model.id);
+        break;
+      }
+      case 'claude': {
+        const response = await this.request(provider, 'https://api.anthropic.com/v1/models?limit=100', {
+          headers: { 'x-api-key': apiKey, 'anthropic-version': '2023-06-01' }
+        });
+        models = (await response.json()).data.map(model => model.id);
+        break;
+      }
+      case 'gemini': {
+        const response = await this.request(provider, `${this.endpoints.gemini}?key=${apiKey}&pageSize=1000`, {});
+        models = ((await response.json()).models || [])
+          .filter(model => (model.supportedGenerationMethods || []).includes('generateContent'))
+          .map(model => model.name.replace(/^models\//, ''));
+        break;
+      }
+      case 'custom': {
+        if (!this.endpoints.custom) {
+          throw new Error('Custom provider needs a base URL (see Advanced Settings)');
+        }
+        const url = this.endpoints.custom.replace(/\/chat\/completions$/, '/models');
+        const response = await this.request(provider, url, { headers: bearer });
+        models = (await response.json()).data.map(model => model.id);
+        break;
+      }
+      default:
+        throw new Error(`Unsupported provider: ${provider}`);
+    }
+
+    return models.sort();
+  }
+
+  /**
+   * Get the models of the primary provider that checkModels tests
+   * @returns {string[]} Categorization and extraction models, without duplicates
+   */
+  getCheckedModels() {
+    const { provider } = this.chain[0];
+    return [...new Set([this.getModel(provider, 'categorization'), this.getModel(provider, 'extraction')])];
+  }
+
+  /**
+   * Describe what checkModels tests, so a run can skip the check when nothing changed since it last passed
+   * @returns {string} Primary provider, its endpoint and its models, e.g. "openai|https://...|gpt-4o-mini"
+   */
+  getModelCheckSignature() {
+    const { provider } = this.chain[0];
+    return [provider, this.endpoints[provider], ...this.getCheckedModels()].join('|');
+  }
+
+  /**
+   * Check that the primary provider answers with each configured model before a run
+   * The test uses structured output, so a wrong or retired model name, or a model without
+   * structured-output support, fails here instead of on every email. Provider outages are left
+   * to the fallback chain when there is one.
+   * @returns {Promise<string[]>} Models that passed
+   */
+  async checkModels() {
+    const { provider, apiKey } = this.chain[0];
+    const models = this.getCheckedModels();
+    const passed = [];
+
+    for (const model of models) {
+      try {
+        const response = await this.callProvider(provider, apiKey, 'This is a connection test. Respond with JSON: {"label": "NOT_JOB", "confidence": 1}', model, this.schemas.categorization);
+        const { errors } = this.parseStructuredResponse(response, this.schemas.categorization.schema);
+        if (errors.length > 0) {
+          throw new AIProviderError(`structured output did not match the schema (${errors[0]})`, {
+            provider,
+            type: 'invalid_response',
+            task: 'categorization',
+            validationErrors: errors,
+            response
+          });
+        }
+        passed.push(model);
+      } catch (error) {
+        if (error instanceof AIProviderError && error.failover && this.chain.length > 1) {
+          console.warn(`${this.providerNames[provider]} connection test failed, the run will use fallback providers:`, error.message);
+          this.circuitBreaker.recordFailure(provider, error);
+          return passed;
+        }
+        // Typed errors keep their type and details, so callers handle them like errors from a run
+        const message = `${this.providerNames[provider]} connection test failed for model "${model}": ${error.message}`;
+        throw error instanceof AIProviderError ? new AIProviderError(message, error) : new Error(message);
+      }
+    }
+
+    return passed;
+  }
+
   /**
    * Test API connection
    * @returns {Promise<boolean>} True if API is accessible
@@ -0,0 +1,232 @@
+// Application Matcher - Links follow-up emails to the application record they belong to
+// Matching order: same Gmail thread, same ATS requisition, same company and position
+
+class ApplicationMatcher {
+  constructor() {
+    // Requisition / job ID formats used by common ATS platforms
+    this.requisitionPatterns = [
+      /\b(?:requisition|req)\s*(?:id|#|number|no\.?)?\s*[:#]?\s*([A-Z0-9][A-Z0-9_-]{2,})\b/i,
+      /\bjob\s*(?:id|#|number|no\.?)\s*[:#]?\s*([A-Z0-9][A-Z0-9_-]{2,})\b/i,
+      /\b(JR-?\d{4,})\b/, // Workday
+      /\b(R-?\d{5,})\b/ // Workday / SuccessFactors
+    ];
+
+    // Job details a follow-up email can fill in when the application doesn't have them yet
+    this.detailFields = ['location', 'work_mode', 'job_url', 'ats_platform'];
+
+    // Compensation fields belong together, so they are filled from one email (see fillCompensation)
+    this.compensationFields = [
+      'salary_min', 'salary_max', 'salary_currency', 'salary_period', 'salary_basis', 'salary_annual_min', 'salary_annual_max'
+    ];
+  }
+
+  /**
+   * Extract an ATS requisition / job ID from an email
+   * @param {Object} email - Email object with subject and body
+   * @returns {string|null} Requisition ID (uppercased) or null
+   */
+  extractRequisitionId(email) {
+    const text = `${email.subject || ''}\n${email.body || ''}`;
+
+    for (const pattern of this.requisitionPatterns) {
+      const match = text.match(pattern);
+      // Require at least one digit so words like "Req: Engineering" don't match
+      if (match && /\d/.test(match[1])) {
+        return match[1].toUpperCase();
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Find the existing application an incoming email record belongs to
+   * @param {Array} applications - Existing application records
+   * @param {Object} record - Incoming email record {thread_id, requisition_id, company, position}
+   * @returns {Object|null} Matching application or null
+   */
+  findMatch(applications, record) {
+    // 1. Same Gmail thread
+    if (record.thread_id) {
+      const threadMatch = this.mostRecent(applications.filter(app =>
+        (app.thread_ids || []).includes(record.thread_id)
+      ));
+      if (threadMatch) return threadMatch;
+    }
+
+    const company = this.normalizeText(record.company);
+    if (!company) return null;
+
+    const sameCompany = applications.filter(app => this.normalizeText(app.company) === company);
+
+    // 2. Same ATS requisition at the same company
+    if (record.requisition_id) {
+      const requisitionMatch = this.mostRecent(sameCompany.filter(app =>
+        app.requisition_id && app.requisition_id === record.requisition_id
+      ));
+      if (requisitionMatch) return requisitionMatch;
+    }
+
+    // 3. Same company and position
+    const position = this.normalizeText(record.position);
+    if (position) {
+      const positionMatch = this.mostRecent(sameCompany.filter(app =>
+        this.normalizeText(app.position) === position
+      ));
+      if (positionMatch) return positionMatch;
+    }
+
+    const positionCompatible = (app) => !position || !this.normalizeText(app.position);
+
+    // 4. Same company where one side has no position (e.g. a rejection that doesn't name the role)
+    // Only a status change is attached this loosely; a new confirmation without a position starts a new application
+    if (ApplicationStatus.isStatusChange(record.status)) {
+      return this.mostRecent(sameCompany.filter(positionCompatible));
+    }
+
+    // 5. The first email for an application that was entered manually before any email arrived
+    return this.mostRecent(sameCompany.filter(app =>
+      app.source === 'manual' && (app.related_message_ids || []).length === 0 && positionCompatible(app)
+    ));
+  }
+
+  /**
+   * Create a new application record from an incoming email record
+   * @param {Object} record - Incoming email record
+   * @returns {Object} Application record with related messages and event history
+   */
+  createApplication(record) {
+    return {
+      ...record,
+      thread_ids: record.thread_id ? [record.thread_id] : [],
+      related_message_ids: [record.message_id],
+      events: [this.buildEvent(record)]
+    };
+  }
+
+  /**
+   * Attach an incoming email record to an existing application
+   * The application status only moves to the status of a newer email, and never
+   * when the user has set it manually.
+   * @param {Object} application - Existing application record (mutated)
+   * @param {Object} record - Incoming email record
+   * @returns {Object} The updated application
+   */
+  attach(application, record) {
+    this.ensureHistory(application);
+
+    if (!application.related_message_ids.includes(record.message_id)) {
+      application.related_message_ids.push(record.message_id);
+    }
+    if (record.thread_id && !application.thread_ids.includes(record.thread_id)) {
+      application.thread_ids.push(record.thread_id);
+    }
+
+    application.events.push(this.buildEvent(record));
+    application.events.sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    // Fields the user corrected by hand are never overwritten
+    const manualFields = application.manual_fields || [];
+
+    // Fill in details the original email didn't have (manual entries have no subject)
+    application.email_title = application.email_title || record.email_title;
+    if (!manualFields.includes('position')) {
+      application.position = application.position || record.position;
+    }
+    if (!manualFields.includes('requisition_id')) {
+      application.requisition_id = application.requisition_id || record.requisition_id;
+    }
+    for (const field of this.detailFields) {
+      application[field] = application[field] || record[field] || null;
+    }
+    this.fillCompensation(application, record);
+
+    const currentDate = new Date(application.status_date || application.email_date || 0);
+    if (!manualFields.includes('status') && new Date(record.email_date) >= currentDate) {
+      application.status = record.status;
+      application.status_date = record.email_date;
+      application.prompt_version = record.prompt_version || application.prompt_version;
+    }
+
+    return application;
+  }
+
+  /**
+   * Copy compensation from another record when the application has none yet
+   * An offer usually states pay that the confirmation didn't.
+   * @param {Object} application - Application record (mutated)
+   * @param {Object} other - Record to copy from
+   * @returns {Object} The same application
+   */
+  fillCompensation(application, other) {
+    if (!application.salary_annual_max && other.salary_annual_max) {
+      this.compensationFields.forEach(field => {
+        application[field] = other[field] === undefined ? null : other[field];
+      });
+    }
+    return application;
+  }
+
+  /**
+   * Fill in history fields on records saved before matching existed
+   * @param {Object} application - Application record (mutated)
+   * @returns {Object} The same record
+   */
+  ensureHistory(application) {
+    if (!Array.isArray(application.related_message_ids)) {
+      application.related_message_ids = application.message_id ? [application.message_id] : [];
+    }
+    if (!Array.isArray(application.thread_ids)) {
+      application.thread_ids = application.thread_id ? [application.thread_id] : [];
+    }
+    if (!Array.isArray(application.events)) {
+      application.events = [this.buildEvent(application)];
+    }
+    return application;
+  }
+
+  /**
+   * Build an event history entry from an email record
+   * @param {Object} record - Email record
+   * @returns {Object} Event {message_id, thread_id, status, date, subject, prompt_version}
+   */
+  buildEvent(record) {
+    return {
+      message_id: record.message_id,
+      thread_id: record.thread_id || null,
+      status: record.status || ApplicationStatus.APPLIED,
+      date: record.status_date || record.email_date,
+      subject: record.email_title || '',
+      prompt_version: record.prompt_version || null
+    };
+  }
+
+  /**
+   * Normalize text for comparison
+   * @param {string} value - Text value
+   * @returns {string} Lowercased, trimmed text with collapsed whitespace
+   */
+  normalizeText(value) {
+    return (value || '').toString().trim().toLowerCase().replace(/\s+/g, ' ');
+  }
+
+  /**
+   * Pick the most recently updated application
+   * @param {Array} applications - Candidate applications
+   * @returns {Object|null} Most recent application or null
+   */
+  mostRecent(applications) {
+    if (applications.length === 0) return null;
+
+    return applications.reduce((latest, app) => {
+      const appDate = new Date(app.status_date || app.email_date || 0);
+      const latestDate = new Date(latest.status_date || latest.email_date || 0);
+      return appDate > latestDate ? app : latest;
+    });
+  }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ApplicationMatcher;
+}
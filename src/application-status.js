@@ -0,0 +1,87 @@
+// Application Status - Lifecycle stages a job application moves through
+
+class ApplicationStatus {
+  static APPLIED = 'applied';
+  static UNDER_REVIEW = 'under_review';
+  static ASSESSMENT = 'assessment';
+  static INTERVIEW = 'interview';
+  static OFFER = 'offer';
+  static REJECTED = 'rejected';
+  static WITHDRAWN = 'withdrawn';
+
+  /**
+   * All statuses in pipeline order
+   * @returns {Array<string>} Status values
+   */
+  static get all() {
+    return [
+      ApplicationStatus.APPLIED,
+      ApplicationStatus.UNDER_REVIEW,
+      ApplicationStatus.ASSESSMENT,
+      ApplicationStatus.INTERVIEW,
+      ApplicationStatus.OFFER,
+      ApplicationStatus.REJECTED,
+      ApplicationStatus.WITHDRAWN
+    ];
+  }
+
+  /**
+   * Human readable labels for each status
+   * @returns {Object} Map of status value to label
+   */
+  static get labels() {
+    return {
+      applied: 'Applied',
+      under_review: 'Under Review',
+      assessment: 'Assessment',
+      interview: 'Interview',
+      offer: 'Offer',
+      rejected: 'Rejected',
+      withdrawn: 'Withdrawn'
+    };
+  }
+
+  /**
+   * Check if a value is a known status
+   * @param {string} status - Status value
+   * @returns {boolean} True if valid
+   */
+  static isValid(status) {
+    return ApplicationStatus.all.includes(status);
+  }
+
+  /**
+   * Get display label for a status
+   * @param {string} status - Status value
+   * @returns {string} Label (falls back to the raw value)
+   */
+  static getLabel(status) {
+    return ApplicationStatus.labels[status] || status || '';
+  }
+
+  /**
+   * Normalize a free-form status answer (e.g. "UNDER REVIEW", "Interview") to a status value
+   * @param {string} value - Raw status text
+   * @returns {string|null} Status value or null if not a known status
+   */
+  static normalize(value) {
+    if (!value || typeof value !== 'string') return null;
+
+    const normalized = value.trim().toLowerCase().replace(/[\s-]+/g, '_');
+    return ApplicationStatus.isValid(normalized) ? normalized : null;
+  }
+
+  /**
+   * Check if a status reports progress on an existing application rather than a new one
+   * @param {string} status - Status value
+   * @returns {boolean} True if the status updates an existing application
+   */
+  static isStatusChange(status) {
+    return ApplicationStatus.isValid(status) && status !== ApplicationStatus.APPLIED;
+  }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ApplicationStatus;
+}
@@ -0,0 +1,152 @@
+// Company Normalizer - Maps the spellings of an employer ("Databricks, Inc.", "databricks") to one name
+// Legal suffixes are stripped and case is ignored when comparing; the user's alias table maps
+// variants that don't look alike ("GDIT" => "General Dynamics IT")
+
+class CompanyNormalizer {
+  /**
+   * @param {Array} aliases - User aliases [{alias, company}], see parseAliases
+   */
+  constructor(aliases = []) {
+    // Legal-form suffixes dropped from company names
+    this.suffixes = [
+      'inc', 'incorporated', 'llc', 'ltd', 'limited', 'corp', 'corporation', 'co', 'plc', 'llp', 'lp',
+      'gmbh', 'ag', 'sa', 'nv', 'bv', 'pty', 'srl', 'sas', 'oy', 'ab', 'ulc'
+    ];
+    this.suffixPattern = new RegExp(`[\\s,]+(?:${this.suffixes.join('|')})\\.?$`, 'i');
+    this.smallWords = ['and', 'of', 'the', 'for', 'at', 'in', 'on'];
+
+    // Canonical names are keys too, so "general dynamics it" also maps to "General Dynamics IT"
+    this.aliases = new Map();
+    (aliases || []).forEach(({ alias, company }) => {
+      this.aliases.set(this.key(company), company);
+      this.aliases.set(this.key(alias), company);
+    });
+  }
+
+  /**
+   * Get the comparison key of a company name
+   * @param {string} name - Company name
+   * @returns {string} Lowercase key without punctuation, spaces or legal suffixes
+   */
+  key(name) {
+    return this.stripSuffixes(name || '')
+      .toLowerCase()
+      .replace(/&/g, 'and')
+      .replace(/^the\s+/, '')
+      .replace(/[^a-z0-9]/g, '');
+  }
+
+  /**
+   * Remove trailing legal-form suffixes ("Acme Holdings, Inc." => "Acme Holdings")
+   * @param {string} name - Company name
+   * @returns {string} Name without suffixes (unchanged if nothing else would be left)
+   */
+  stripSuffixes(name) {
+    let result = name.trim().replace(/\s+/g, ' ');
+    let stripped = result.replace(this.suffixPattern, '');
+    while (stripped !== result && stripped.trim()) {
+      result = stripped;
+      stripped = result.replace(this.suffixPattern, '');
+    }
+    return result.replace(/[\s,&]+$/, '');
+  }
+
+  /**
+   * Clean a company name for display
+   * All-lowercase names are title-cased; anything else keeps its capitalization (acronyms, "eBay").
+   * @param {string} name - Company name
+   * @returns {string|null} Cleaned name or null if empty
+   */
+  clean(name) {
+    const stripped = this.stripSuffixes(name || '');
+    if (!stripped) return null;
+    if (stripped !== stripped.toLowerCase()) return stripped;
+
+    return stripped
+      .split(' ')
+      .map((word, index) => index > 0 && this.smallWords.includes(word)
+        ? word
+        : word.charAt(0).toUpperCase() + word.slice(1))
+      .join(' ');
+  }
+
+  /**
+   * Index the spellings already in use, so new records reuse them
+   * For each key the most common cleaned spelling wins, preferring one that isn't all lowercase.
+   * @param {Array<string>} names - Company names of existing records
+   * @returns {Map} Key => spelling
+   */
+  buildIndex(names) {
+    const counts = new Map();
+    names.forEach(name => {
+      const key = this.key(name);
+      if (!key || this.aliases.has(key)) return;
+
+      const spelling = this.stripSuffixes(name);
+      const spellings = counts.get(key) || new Map();
+      spellings.set(spelling, (spellings.get(spelling) || 0) + 1);
+      counts.set(key, spellings);
+    });
+
+    const index = new Map();
+    counts.forEach((spellings, key) => {
+      const [best] = [...spellings.entries()].sort(([a, countA], [b, countB]) =>
+        (a === a.toLowerCase()) - (b === b.toLowerCase()) || countB - countA
+      );
+      index.set(key, this.clean(best[0]));
+    });
+    return index;
+  }
+
+  /**
+   * Normalize a company name
+   * @param {string} name - Company name as extracted
+   * @param {Map} index - Spellings in use, from buildIndex (optional)
+   * @returns {string|null} The alias's company, the spelling in use, or the cleaned name
+   */
+  normalize(name, index = new Map()) {
+    const key = this.key(name);
+    if (!key) return name || null;
+
+    return this.aliases.get(key) || index.get(key) || this.clean(name);
+  }
+
+  /**
+   * Parse the alias table from the settings text
+   * @param {string} text - One alias per line: "<variant> => <company>"; lines starting with # are ignored
+   * @returns {Object} {aliases: [{alias, company}], errors: [string]}
+   */
+  parseAliases(text) {
+    const aliases = [];
+    const errors = [];
+
+    (text || '').split('\n').forEach((line, index) => {
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith('#')) return;
+
+      const match = trimmed.match(/^(.+?)\s*=>\s*(.+)$/);
+      if (!match || !this.key(match[1]) || !this.key(match[2])) {
+        errors.push(`Line ${index + 1}: expected "<variant> => <company>"`);
+        return;
+      }
+
+      aliases.push({ alias: match[1].trim(), company: match[2].trim() });
+    });
+
+    return { aliases, errors };
+  }
+
+  /**
+   * Format the alias table for editing
+   * @param {Array} aliases - Aliases [{alias, company}]
+   * @returns {string} One alias per line
+   */
+  formatAliases(aliases) {
+    return (aliases || []).map(({ alias, company }) => `${alias} => ${company}`).join('\n');
+  }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CompanyNormalizer;
+}
@@ -0,0 +1,251 @@
+// Compensation Parser - Finds salary ranges and rates in email text and normalizes them to annual amounts
+// Handles the common formats ("$120k–$150k", "€55,000 p.a.", "$45/hr", "GBP 60,000 - 70,000 base");
+// emails it can't read are left to the AI's extraction
+
+class CompensationParser {
+  constructor() {
+    // Multipliers to an annual amount (full-time: 40 hours × 52 weeks)
+    this.annualMultipliers = { hour: 2080, day: 260, week: 52, month: 12, year: 1 };
+    this.bases = ['base', 'total'];
+
+    // Longer symbols first, so "CA$" isn't read as "$"
+    this.currencySymbols = {
+      'CA$': 'CAD', 'C$': 'CAD', 'AU$': 'AUD', 'A$': 'AUD', 'US$': 'USD', '$': 'USD', '€': 'EUR', '£': 'GBP', '₹': 'INR'
+    };
+    this.currencyCodes = ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'NZD', 'CHF', 'INR', 'SGD', 'SEK', 'NOK', 'DKK', 'PLN'];
+
+    // Period wording right after an amount
+    this.periodPatterns = [
+      ['hour', /^\s*(?:\/\s*(?:hr|hour|h)\b|per hour\b|an hour\b|hourly\b|p\/h\b)/i],
+      ['day', /^\s*(?:\/\s*(?:day|d)\b|per day\b|a day\b|daily\b)/i],
+      ['week', /^\s*(?:\/\s*(?:wk|week)\b|per week\b|a week\b|weekly\b)/i],
+      ['month', /^\s*(?:\/\s*(?:mo|month)\b|per month\b|a month\b|monthly\b|p\.?\s?m\.?(?![a-z]))/i],
+      ['year', /^\s*(?:\/\s*(?:yr|year|y)\b|per (?:year|annum)\b|a year\b|annually\b|yearly\b|p\.?\s?a\.?(?![a-z]))/i]
+    ];
+
+    // Period wording before an amount, e.g. "an hourly rate of $45"
+    this.periodContextPatterns = [
+      ['hour', /\b(?:hourly|per hour)\b/i],
+      ['month', /\b(?:monthly|per month)\b/i],
+      ['year', /\b(?:annual|annually|yearly|per year|per annum)\b/i]
+    ];
+
+    this.totalPattern = /\b(?:total (?:comp|compensation|cash|package)|OTE|on[- ]target earnings|TC)\b/i;
+    this.basePattern = /\bbase\b/i;
+    this.payContextPattern = /\b(?:salary|salaries|pay(?:s|ing)?|compensation|comp|rate|range|wages?|base|OTE|earnings|offer(?:ed)?)\b/i;
+    this.otherMoneyPattern = /\b(?:funding|funded|raised?|round|seed|series [a-h]|valuation|valued|revenue|ARR|invest(?:ment|ors?)|acquisition|acquired|market cap|gift card|voucher|prize|fee)\b/i;
+
+    const currency = `(${Object.keys(this.currencySymbols).map(symbol => symbol.replace(/\$/g, '\\$')).join('|')}|${this.currencyCodes.join('|')})`;
+    const amount = '(\\d{1,3}(?:[,.\\u00a0 ]\\d{3})+(?:[.,]\\d{1,2})?|\\d+(?:[.,]\\d+)?)\\s?([kKmM](?![a-zA-Z]))?';
+    const range = '\\s*(?:-|–|—|to)\\s*';
+
+    // "$120k–$150k", "USD 120,000 to 150,000" and "55.000 € - 65.000 €", "60,000-70,000 GBP"
+    this.prefixPattern = new RegExp(`${currency}\\s?${amount}(?:${range}${currency}?\\s?${amount})?`, 'g');
+    this.suffixPattern = new RegExp(`(?<![\\w$€£₹])${amount}(?:\\s?${currency})?(?:${range}${amount})?\\s?${currency}`, 'g');
+  }
+
+  /**
+   * Find the first salary or rate in a text
+   * An amount only counts as pay when a period follows it or the closest money word next to it is
+   * about pay ("salary", "rate", "OTE"), so funding rounds, revenue and prices are skipped.
+   * @param {string} text - Email subject and body
+   * @returns {Object|null} {min, max, currency, period, basis} or null
+   */
+  parse(text) {
+    if (!text) return null;
+
+    const candidates = [];
+    for (const match of text.matchAll(this.prefixPattern)) {
+      const [, currency, minValue, minSuffix, , maxValue, maxSuffix] = match;
+      candidates.push({ match, currency, minValue, minSuffix, maxValue, maxSuffix });
+    }
+    for (const match of text.matchAll(this.suffixPattern)) {
+      const [, minValue, minSuffix, firstCurrency, maxValue, maxSuffix, currency] = match;
+      candidates.push({ match, currency: currency || firstCurrency, minValue, minSuffix, maxValue, maxSuffix });
+    }
+    candidates.sort((a, b) => a.match.index - b.match.index);
+
+    for (const candidate of candidates) {
+      const compensation = this.readCandidate(text, candidate);
+      if (compensation) return compensation;
+    }
+    return null;
+  }
+
+  /**
+   * Turn one regex match into a compensation, if it looks like pay
+   * @param {string} text - Text the match is from
+   * @param {Object} candidate - {match, currency, minValue, minSuffix, maxValue, maxSuffix}
+   * @returns {Object|null} {min, max, currency, period, basis} or null
+   */
+  readCandidate(text, candidate) {
+    const { match } = candidate;
+    const end = match.index + match[0].length;
+    const before = text.substring(Math.max(0, match.index - 60), match.index);
+    const after = text.substring(end, end + 60);
+
+    // "$120k-150k": a suffix on either side of the range applies to both
+    const suffix = candidate.minSuffix || candidate.maxSuffix;
+    const min = this.parseAmount(candidate.minValue, candidate.minSuffix || (candidate.maxValue ? suffix : null));
+    const max = candidate.maxValue ? this.parseAmount(candidate.maxValue, candidate.maxSuffix || suffix) : min;
+    if (!min || !max) return null;
+
+    let period = this.readPeriod(after);
+    const context = this.closestKeyword(before, after, { pay: this.payContextPattern, other: this.otherMoneyPattern });
+    if (!period && context !== 'pay') return null;
+
+    period = period || this.readContextPeriod(before) || this.inferPeriod(max);
+    const annualMax = max * this.annualMultipliers[period];
+    if (annualMax < 1000 || annualMax > 10000000) return null;
+
+    // "base salary of $150,000 and OTE $200,000": each amount takes the basis written next to it
+    const basis = this.closestKeyword(before, after, { total: this.totalPattern, base: this.basePattern });
+
+    return {
+      min: Math.min(min, max),
+      max: Math.max(min, max),
+      currency: this.currencySymbols[candidate.currency] || candidate.currency.toUpperCase(),
+      period,
+      basis
+    };
+  }
+
+  /**
+   * Find which keyword is written closest to an amount
+   * Text after the amount only counts up to the end of its clause, so a keyword that belongs to
+   * the next amount ("$150,000 and OTE $200,000") isn't taken for this one.
+   * @param {string} before - Text preceding the amount
+   * @param {string} after - Text following the amount
+   * @param {Object} patterns - Name => keyword pattern
+   * @returns {string|null} Name of the closest pattern, or null if none occurs
+   */
+  closestKeyword(before, after, patterns) {
+    const clause = after.split(/[.;:\n]|\band\b|\bor\b|\d/)[0];
+    let closest = null;
+    let closestDistance = Infinity;
+
+    for (const [name, pattern] of Object.entries(patterns)) {
+      for (const match of before.matchAll(new RegExp(pattern.source, `${pattern.flags}g`))) {
+        const distance = before.length - (match.index + match[0].length);
+        if (distance < closestDistance) {
+          closest = name;
+          closestDistance = distance;
+        }
+      }
+
+      const next = clause.match(pattern);
+      if (next && next.index < closestDistance) {
+        closest = name;
+        closestDistance = next.index;
+      }
+    }
+
+    return closest;
+  }
+
+  /**
+   * Parse one amount
+   * @param {string} value - Digits with thousands separators or a decimal part, e.g. "120,000", "55.000", "45.50"
+   * @param {string} suffix - "k" or "m" multiplier (optional)
+   * @returns {number|null} Amount or null
+   */
+  parseAmount(value, suffix) {
+    if (!value) return null;
+
+    const grouped = value.match(/^(\d{1,3}(?:[,.\s]\d{3})+)(?:[.,](\d{1,2}))?$/);
+    const number = grouped
+      ? Number(`${grouped[1].replace(/[,.\s]/g, '')}${grouped[2] ? `.${grouped[2]}` : ''}`)
+      : Number(value.replace(',', '.'));
+    const multiplier = { k: 1000, m: 1000000 }[(suffix || '').toLowerCase()] || 1;
+
+    return Number.isFinite(number) && number > 0 ? number * multiplier : null;
+  }
+
+  /**
+   * Read the period written right after an amount
+   * @param {string} after - Text following the amount
+   * @returns {string|null} 'hour', 'day', 'week', 'month', 'year' or null
+   */
+  readPeriod(after) {
+    const found = this.periodPatterns.find(([, pattern]) => pattern.test(after));
+    return found ? found[0] : null;
+  }
+
+  /**
+   * Read the period from the wording before an amount
+   * @param {string} before - Text preceding the amount
+   * @returns {string|null} Period or null
+   */
+  readContextPeriod(before) {
+    const found = this.periodContextPatterns.find(([, pattern]) => pattern.test(before));
+    return found ? found[0] : null;
+  }
+
+  /**
+   * Guess the period of an amount nobody labelled
+   * @param {number} amount - Largest amount of the range
+   * @returns {string} 'hour' for amounts under 500, otherwise 'year'
+   */
+  inferPeriod(amount) {
+    return amount < 500 ? 'hour' : 'year';
+  }
+
+  /**
+   * Choose between the locally parsed compensation and the AI's
+   * A local match in a footer or an unrelated figure would otherwise override a correct AI result,
+   * so the local one is only used when the AI found nothing or the two annual ranges overlap.
+   * @param {Object|null} parsed - {min, max, currency, period, basis} from parse()
+   * @param {Object|null} extracted - The same fields from the AI's extraction (may all be null)
+   * @returns {Object|null} Compensation to record
+   */
+  choose(parsed, extracted) {
+    const fromAI = this.normalize(extracted);
+    if (!parsed || !fromAI.salary_annual_max) return parsed || extracted;
+
+    const local = this.normalize(parsed);
+    const sameCurrency = !fromAI.salary_currency || fromAI.salary_currency === local.salary_currency;
+    const overlaps = local.salary_annual_min <= fromAI.salary_annual_max && fromAI.salary_annual_min <= local.salary_annual_max;
+    return sameCurrency && overlaps ? parsed : extracted;
+  }
+
+  /**
+   * Build the record's compensation fields, with the range annualized for comparison
+   * @param {Object|null} compensation - {min, max, currency, period, basis} from parse() or the AI
+   * @returns {Object} {salary_min, salary_max, salary_currency, salary_period, salary_basis,
+   *   salary_annual_min, salary_annual_max}, all null when there is no usable compensation
+   */
+  normalize(compensation) {
+    const empty = {
+      salary_min: null,
+      salary_max: null,
+      salary_currency: null,
+      salary_period: null,
+      salary_basis: null,
+      salary_annual_min: null,
+      salary_annual_max: null
+    };
+
+    const valid = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+    if (!compensation || (!valid(compensation.min) && !valid(compensation.max))) return empty;
+
+    const min = valid(compensation.min) ? compensation.min : compensation.max;
+    const max = valid(compensation.max) ? compensation.max : min;
+    const period = this.annualMultipliers[compensation.period] ? compensation.period : this.inferPeriod(max);
+    const multiplier = this.annualMultipliers[period];
+
+    return {
+      salary_min: Math.min(min, max),
+      salary_max: Math.max(min, max),
+      salary_currency: compensation.currency || null,
+      salary_period: period,
+      salary_basis: this.bases.includes(compensation.basis) ? compensation.basis : null,
+      salary_annual_min: Math.round(Math.min(min, max) * multiplier),
+      salary_annual_max: Math.round(Math.max(min, max) * multiplier)
+    };
+  }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CompensationParser;
+}
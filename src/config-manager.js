@@ -8,10 +8,56 @@ class ConfigManager {
       geminiKey: '',
       claudeKey: '',
       deepseekKey: '',
+      customKey: '', // Optional; most local servers don't check it
+      customBaseUrl: '', // OpenAI-compatible server, e.g. http://localhost:11434/v1 for Ollama
+      customModel: '',
+      customTimeoutSeconds: 60, // Local models can be slow; a request that takes longer fails over
       timePeriod: 14,
       emailLimit: 50,
       gmailAuthenticated: false,
-      lastCheckpoint: null // Timestamp of last processed email
+      incrementalSync: true, // Use the Gmail History API after the first complete scan
+      ruleClassifierEnabled: true, // Decide obvious emails with built-in rules before calling the AI
+      classificationRules: [], // User-defined rules [{field, pattern, status}], see RuleClassifier.parseRules
+      templateExtractionEnabled: true, // Parse known ATS email templates instead of calling the AI
+      companyAliases: [], // Company name variants [{alias, company}], see CompanyNormalizer.parseAliases
+      promptTemplates: {}, // Edited AI prompts by template name: {template, version}, see PromptTemplates
+      reviewConfidenceThreshold: 0.6, // AI results less confident than this (0-1) wait in the review queue (0 = off)
+      providerModels: { // Model per provider (the custom provider's model is customModel)
+        openai: 'gpt-4o-mini',
+        gemini: 'gemini-2.5-flash',
+        claude: 'claude-3-5-haiku-20241022',
+        deepseek: 'deepseek-chat'
+      },
+      extractionModels: {}, // Optional separate extraction model per provider (empty = same as providerModels)
+      providerFallbackOrder: [], // Providers tried in order when the active one fails (bad key, no quota, outage)
+      batchSizes: { openai: 10, gemini: 10, claude: 10, deepseek: 10, custom: 5 }, // Emails classified per AI request (1 = no batching)
+      aiCacheEnabled: true, // Reuse AI results for emails already sent with the same provider, model and prompt
+      aiCacheMaxEntries: 5000, // Least recently used results are evicted above this
+      bypassAICache: false, // Ignore cached results (still refreshes them) for re-runs
+      maxRunTokens: 0, // AI budgets; a run stops when one is reached (0 = no limit)
+      maxRunCost: 0, // USD, estimated from modelPrices
+      maxDayTokens: 0,
+      maxDayCost: 0,
+      modelPrices: { // USD per 1M tokens, used to estimate cost
+        'gpt-4o-mini': { input: 0.15, output: 0.6 },
+        'deepseek-chat': { input: 0.27, output: 1.1 },
+        'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+        'claude-3-5-haiku-20241022': { input: 0.8, output: 4 }
+      },
+      scheduleMode: 'off', // 'off', 'hourly', 'daily' or 'custom'
+      scheduleTime: '09:00', // Local time of day for daily scans
+      scheduleIntervalMinutes: 240, // Interval for custom scans
+      lastScheduledRun: null, // {time, success, skipped, error} of the last automatic scan
+      notifyNewApplications: true, // Desktop notification opt-ins, one per event type
+      notifyUnderReview: false,
+      notifyAssessments: true,
+      notifyInterviews: true,
+      notifyOffers: true,
+      notifyRejections: false,
+      notifyWithdrawals: false,
+      verifiedModels: null, // AIProvider.getModelCheckSignature() of the last passed model check
+      lastCheckpoint: null, // Timestamp of last processed email
+      lastHistoryId: null // Gmail mailbox history ID of the last complete sync
     };
   }
 
@@ -84,21 +130,100 @@ class ConfigManager {
     try {
       const settings = await this.getSettings();
       const provider = settings.activeProvider;
-      const apiKey = settings[`${provider}Key`];
 
-      if (!apiKey || apiKey.trim() === '') {
-        throw new Error(`No API key configured for ${provider}`);
+      if (!this.isProviderConfigured(settings, provider)) {
+        throw new Error(provider === 'custom'
+          ? 'No base URL or model configured for the custom provider'
+          : `No API key configured for ${provider}`);
       }
 
       return {
         provider,
-        apiKey: apiKey.trim()
+        apiKey: (settings[`${provider}Key`] || '').trim()
       };
     } catch (error) {
       throw new Error('Failed to get active provider config: ' + error.message);
     }
   }
 
+  /**
+   * Get the configured fallback providers for a run
+   * Providers without an API key, and the active provider itself, are left out.
+   * @param {string} activeProvider - Provider the run starts with
+   * @returns {Promise<Array>} [{provider, apiKey}] in fallback order
+   */
+  async getFallbackProviders(activeProvider) {
+    const settings = await this.getSettings();
+    const seen = new Set([activeProvider]);
+    const fallbacks = [];
+
+    for (const provider of settings.providerFallbackOrder || []) {
+      if (seen.has(provider) || !this.isProviderConfigured(settings, provider)) continue;
+      seen.add(provider);
+      fallbacks.push({ provider, apiKey: (settings[`${provider}Key`] || '').trim() });
+    }
+
+    return fallbacks;
+  }
+
+  /**
+   * Check whether a provider has what it needs to be called
+   * Cloud providers need an API key; the custom provider needs a base URL and model (its key is optional).
+   * @param {Object} settings - Settings object
+   * @param {string} provider - Provider name
+   * @returns {boolean} True if the provider can be used
+   */
+  isProviderConfigured(settings, provider) {
+    if (provider === 'custom') {
+      return Boolean((settings.customBaseUrl || '').trim() && (settings.customModel || '').trim());
+    }
+    return Boolean((settings[`${provider}Key`] || '').trim());
+  }
+
+  /**
+   * Get the models to use per provider
+   * Saved models are merged over the defaults, so a provider the user never changed keeps its default.
+   * @param {Object} settings - Settings object
+   * @returns {Object} {models, extractionModels} for AIProvider
+   */
+  getModelOptions(settings) {
+    return {
+      models: { ...this.defaultSettings.providerModels, ...settings.providerModels },
+      extractionModels: { ...settings.extractionModels }
+    };
+  }
+
+  /**
+   * Get the AIProvider options for the custom OpenAI-compatible provider
+   * @param {Object} settings - Settings object
+   * @returns {Object|null} {baseUrl, model, timeoutMs} or null if it isn't configured
+   */
+  getCustomProviderOptions(settings) {
+    if (!this.isProviderConfigured(settings, 'custom')) return null;
+
+    return {
+      baseUrl: settings.customBaseUrl.trim(),
+      model: settings.customModel.trim(),
+      timeoutMs: (settings.customTimeoutSeconds || 60) * 1000
+    };
+  }
+
+  /**
+   * Get the host permission pattern needed to call a custom provider
+   * Match patterns ignore the port, so one grant covers every port on the host.
+   * @param {string} baseUrl - Base URL
+   * @returns {string|null} e.g. "http://localhost/*", or null for an invalid or non-HTTP URL
+   */
+  getCustomOriginPattern(baseUrl) {
+    try {
+      const url = new URL((baseUrl || '').trim());
+      if (!['http:', 'https:'].includes(url.protocol)) return null;
+      return `${url.protocol}//${url.hostname}/*`;
+    } catch (error) {
+      return null;
+    }
+  }
+
   /**
    * Update last checkpoint timestamp
    * @param {string} timestamp - ISO timestamp of last processed email
@@ -116,6 +241,48 @@ class ConfigManager {
     return await this.getSetting('lastCheckpoint');
   }
 
+  /**
+   * Remember the provider and models that passed the connection test
+   * @param {string|null} signature - AIProvider.getModelCheckSignature(), or null to test again next run
+   * @returns {Promise<boolean>} Success status
+   */
+  async updateVerifiedModels(signature) {
+    return await this.saveSetting('verifiedModels', signature);
+  }
+
+  /**
+   * Get the provider and models that passed the last connection test
+   * @returns {Promise<string|null>} Signature or null if the next run has to test them
+   */
+  async getVerifiedModels() {
+    return await this.getSetting('verifiedModels');
+  }
+
+  /**
+   * Save the mailbox history ID reached by a complete sync
+   * @param {string} historyId - Gmail history ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async updateHistoryCheckpoint(historyId) {
+    return await this.saveSetting('lastHistoryId', historyId);
+  }
+
+  /**
+   * Get the mailbox history ID of the last complete sync
+   * @returns {Promise<string|null>} History ID or null if the next run needs a windowed scan
+   */
+  async getHistoryCheckpoint() {
+    return await this.getSetting('lastHistoryId');
+  }
+
+  /**
+   * Forget the history checkpoint so the next run does a full windowed scan
+   * @returns {Promise<boolean>} Success status
+   */
+  async clearHistoryCheckpoint() {
+    return await this.saveSetting('lastHistoryId', null);
+  }
+
   /**
    * Clear all settings (useful for debugging/reset)
    * @returns {Promise<boolean>} Success status
@@ -140,12 +307,23 @@ class ConfigManager {
 
     // Check if active provider has API key
     const provider = settings.activeProvider;
-    const apiKey = settings[`${provider}Key`];
 
-    if (!apiKey || apiKey.trim() === '') {
+    if (provider === 'custom') {
+      if (!this.isProviderConfigured(settings, provider)) {
+        errors.push('No base URL or model configured for the custom provider');
+      }
+    } else if (!this.isProviderConfigured(settings, provider)) {
       errors.push(`No API key configured for ${provider.toUpperCase()}`);
     }
 
+    // Validate the custom provider whenever it is set up (it may be used as a fallback)
+    if ((settings.customBaseUrl || '').trim() && !this.getCustomOriginPattern(settings.customBaseUrl)) {
+      errors.push('Custom provider base URL must start with http:// or https://');
+    }
+    if (!(settings.customTimeoutSeconds >= 5 && settings.customTimeoutSeconds <= 600)) {
+      errors.push('Custom provider timeout must be between 5 and 600 seconds');
+    }
+
     // Validate email limit
     if (settings.emailLimit < 1 || settings.emailLimit > 500) {
       errors.push('Email limit must be between 1 and 500');
@@ -156,6 +334,42 @@ class ConfigManager {
       errors.push('Invalid time period selected');
     }
 
+    // Validate fallback providers
+    const missingKeys = (settings.providerFallbackOrder || [])
+      .filter(fallback => fallback !== provider && !this.isProviderConfigured(settings, fallback));
+    if (missingKeys.length > 0) {
+      errors.push(`No API key configured for fallback provider ${missingKeys.map(p => p.toUpperCase()).join(', ')}`);
+    }
+
+    // Validate batch sizes
+    const batchSize = (settings.batchSizes || {})[provider];
+    if (batchSize !== undefined && !(Number.isInteger(batchSize) && batchSize >= 1 && batchSize <= 20)) {
+      errors.push('Batch size must be a whole number between 1 and 20');
+    }
+
+    // Validate review threshold
+    if (!(settings.reviewConfidenceThreshold >= 0 && settings.reviewConfidenceThreshold <= 1)) {
+      errors.push('Review confidence threshold must be between 0 and 1');
+    }
+
+    // Validate budgets
+    if (['maxRunTokens', 'maxRunCost', 'maxDayTokens', 'maxDayCost'].some(key => !(settings[key] >= 0))) {
+      errors.push('AI budgets must be zero (no limit) or positive');
+    }
+
+    // Validate schedule
+    if (!['off', 'hourly', 'daily', 'custom'].includes(settings.scheduleMode)) {
+      errors.push('Invalid scan schedule selected');
+    }
+
+    if (settings.scheduleMode === 'daily' && !/^([01]\d|2[0-3]):[0-5]\d$/.test(settings.scheduleTime)) {
+      errors.push('Daily scan time must be in HH:MM format');
+    }
+
+    if (settings.scheduleMode === 'custom' && !(settings.scheduleIntervalMinutes >= 15)) {
+      errors.push('Custom scan interval must be at least 15 minutes');
+    }
+
     return {
       valid: errors.length === 0,
       errors
@@ -3,8 +3,11 @@
 class CSVManager {
   constructor() {
     this.filename = 'job_applications.csv';
-    this.headers = ['email_date', 'company', 'position', 'email_title', 'processed_timestamp', 'message_id'];
+    this.headers = ['email_date', 'company', 'position', 'status', 'status_date', 'email_title', 'processed_timestamp', 'message_id', 'requisition_id', 'related_message_ids', 'status_history', 'source', 'prompt_version', 'location', 'work_mode', 'job_url', 'ats_platform', 'salary_min', 'salary_max', 'salary_currency', 'salary_period', 'salary_basis', 'salary_annual_min', 'salary_annual_max'];
     this.fileHandle = null;
+    this.matcher = new ApplicationMatcher();
+    this.writeQueue = Promise.resolve();
+    this.editableFields = ['company', 'position', 'status', 'requisition_id'];
   }
 
   /**
@@ -41,7 +44,18 @@ class CSVManager {
     try {
       // Read records from Chrome storage
       const result = await chrome.storage.local.get(['csvRecords']);
-      return result.csvRecords || [];
+      const records = result.csvRecords || [];
+
+      // Records saved before status tracking were all confirmations, and all came from email
+      return records.map(record => {
+        const application = record.status ? record : {
+          ...record,
+          status: ApplicationStatus.APPLIED,
+          status_date: record.email_date
+        };
+        application.source = application.source || 'email';
+        return this.matcher.ensureHistory(application);
+      });
     } catch (error) {
       console.error('Error reading CSV records:', error);
       return [];
@@ -128,10 +142,10 @@ class CSVManager {
    */
   recordToCSVLine(record) {
     const values = this.headers.map(header => {
-      let value = record[header] || '';
+      let value = this.getFieldValue(record, header);
 
       // Format timestamps to readable format
-      if ((header === 'email_date' || header === 'processed_timestamp') && value) {
+      if ((header === 'email_date' || header === 'status_date' || header === 'processed_timestamp') && value) {
         value = this.formatTimestamp(value);
       }
 
@@ -144,6 +158,27 @@ class CSVManager {
     return values.join(',');
   }
 
+  /**
+   * Get the export value of a field, flattening list fields to text
+   * @param {Object} record - Record object
+   * @param {string} header - Column name
+   * @returns {string} Field value
+   */
+  getFieldValue(record, header) {
+    if (header === 'related_message_ids') {
+      return (record.related_message_ids || []).join('; ');
+    }
+
+    if (header === 'status_history') {
+      return (record.events || [])
+        .map(event => `${this.formatTimestamp(event.date)} ${event.status}`)
+        .join('; ');
+    }
+
+    const value = record[header];
+    return value === null || value === undefined ? '' : String(value);
+  }
+
   /**
    * Write records to Chrome storage
    * @param {Array} records - Array of record objects
@@ -161,38 +196,376 @@ class CSVManager {
     }
   }
 
+  /**
+   * Run a read-modify-write operation after any pending one finishes
+   * Scans and record edits both rewrite the whole record list, so they must not interleave.
+   * @param {Function} operation - Async operation
+   * @returns {Promise<any>} Result of the operation
+   */
+  withWriteLock(operation) {
+    const run = this.writeQueue.then(operation, operation);
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
   /**
    * Add new records to existing CSV
    * @param {Array} newRecords - Array of new record objects
    * @returns {Promise<Object>} Result with counts
    */
   async addRecords(newRecords) {
-    try {
-      // Read existing records
-      const existingRecords = await this.readCSV();
+    return this.withWriteLock(async () => {
+      try {
+        // Read existing records
+        const existingRecords = await this.readCSV();
+
+        // Create set of existing message IDs (including attached follow-ups) for fast lookup
+        const existingIds = new Set(existingRecords.flatMap(r => r.related_message_ids));
+
+        // Filter out duplicates
+        const uniqueNewRecords = newRecords.filter(record => !existingIds.has(record.message_id));
+
+        // Combine records
+        const allRecords = [
+          ...existingRecords,
+          ...uniqueNewRecords.map(record => this.matcher.createApplication(record))
+        ];
+
+        // Write back to file
+        await this.writeCSV(allRecords);
+
+        return {
+          success: true,
+          total: allRecords.length,
+          added: uniqueNewRecords.length,
+          duplicatesSkipped: newRecords.length - uniqueNewRecords.length
+        };
+      } catch (error) {
+        console.error('Error adding records:', error);
+        throw new Error('Failed to add records: ' + error.message);
+      }
+    });
+  }
+
+  /**
+   * Build a company normalizer with the user's alias table
+   * @returns {Promise<CompanyNormalizer>} Normalizer
+   */
+  async getCompanyNormalizer() {
+    const { companyAliases } = await chrome.storage.local.get('companyAliases');
+    return new CompanyNormalizer(companyAliases || []);
+  }
 
-      // Create set of existing message IDs for fast lookup
-      const existingIds = new Set(existingRecords.map(r => r.message_id));
+  /**
+   * Add email records, attaching each one to its existing application when the matcher finds one
+   * Records are applied oldest first so the latest email decides the current status.
+   * Company names are normalized first (aliases, then the spelling existing records use), except
+   * ones the user entered by hand.
+   * Emails with no matching application start a new one, whatever their status, so they aren't lost.
+   * @param {Array} records - Array of email records with a status field
+   * @returns {Promise<Object>} Result with counts {total, added, updated, duplicatesSkipped}
+   *   and the changes themselves {addedRecords, statusChanges: [{record, previousStatus}]}
+   */
+  async upsertRecords(records) {
+    return this.withWriteLock(async () => {
+      try {
+        const allRecords = await this.readCSV();
+        const existingIds = new Set(allRecords.flatMap(r => r.related_message_ids));
+        const normalizer = await this.getCompanyNormalizer();
+        const companies = normalizer.buildIndex(allRecords.map(r => r.company));
+
+        const sorted = [...records]
+          .map(record => (record.manual_fields || []).includes('company')
+            ? record
+            : { ...record, company: normalizer.normalize(record.company, companies) })
+          .sort((a, b) => new Date(a.email_date) - new Date(b.email_date));
+
+        let added = 0;
+        let updated = 0;
+        let duplicatesSkipped = 0;
+        const addedRecords = [];
+        const statusChanges = [];
+
+        for (const record of sorted) {
+          if (existingIds.has(record.message_id)) {
+            duplicatesSkipped++;
+            continue;
+          }
+          existingIds.add(record.message_id);
 
-      // Filter out duplicates
-      const uniqueNewRecords = newRecords.filter(record => !existingIds.has(record.message_id));
+          const match = this.matcher.findMatch(allRecords, record);
 
-      // Combine records
-      const allRecords = [...existingRecords, ...uniqueNewRecords];
+          if (match) {
+            const previousStatus = match.status;
+            this.matcher.attach(match, record);
+            updated++;
 
-      // Write back to file
+            if (match.status !== previousStatus) {
+              statusChanges.push({ record: match, previousStatus });
+            }
+          } else {
+            const application = this.matcher.createApplication(record);
+            allRecords.push(application);
+            addedRecords.push(application);
+            added++;
+          }
+        }
+
+        await this.writeCSV(allRecords);
+
+        return {
+          success: true,
+          total: allRecords.length,
+          added,
+          updated,
+          duplicatesSkipped,
+          addedRecords,
+          statusChanges
+        };
+      } catch (error) {
+        console.error('Error upserting records:', error);
+        throw new Error('Failed to update records: ' + error.message);
+      }
+    });
+  }
+
+  /**
+   * Add an application that has no email (referral, career fair, portal without confirmations)
+   * It gets a synthetic ID and source = manual. The company (and position, if given) are flagged
+   * as manual; the status is not, so later emails for this application can still move it forward.
+   * @param {Object} entry - {company, position, status, email_date}
+   * @returns {Promise<Object>} Result {added: true, record} or {added: false, duplicate} if
+   *   a matching application already exists
+   */
+  async addManualRecord(entry) {
+    return this.withWriteLock(async () => {
+      let company = (entry.company || '').trim();
+      const position = (entry.position || '').trim() || null;
+      const status = entry.status || ApplicationStatus.APPLIED;
+      const date = new Date(entry.email_date || Date.now());
+
+      if (!company) {
+        throw new Error('Company is required');
+      }
+      if (!ApplicationStatus.isValid(status)) {
+        throw new Error(`Invalid status: ${status}`);
+      }
+      if (isNaN(date.getTime())) {
+        throw new Error('Invalid application date');
+      }
+
+      const allRecords = await this.readCSV();
+      const normalizer = await this.getCompanyNormalizer();
+      company = normalizer.normalize(company, normalizer.buildIndex(allRecords.map(r => r.company)));
+
+      // A manual entry is a new application, so only an exact company and position match is a duplicate
+      const duplicate = allRecords.find(r =>
+        this.matcher.normalizeText(r.company) === this.matcher.normalizeText(company) &&
+        this.matcher.normalizeText(r.position) === this.matcher.normalizeText(position)
+      );
+      if (duplicate) {
+        return { added: false, duplicate };
+      }
+
+      const now = new Date().toISOString();
+      const record = {
+        message_id: this.generateManualId(),
+        company,
+        position,
+        status,
+        status_date: date.toISOString(),
+        email_title: null,
+        email_date: date.toISOString(),
+        processed_timestamp: now,
+        source: 'manual',
+        manual_fields: position ? ['company', 'position'] : ['company'],
+        thread_ids: [],
+        related_message_ids: [],
+        events: [{
+          message_id: null,
+          thread_id: null,
+          status,
+          date: date.toISOString(),
+          subject: 'Added manually'
+        }]
+      };
+
+      allRecords.push(record);
       await this.writeCSV(allRecords);
 
+      return { added: true, record };
+    });
+  }
+
+  /**
+   * Generate a synthetic ID for a manual entry
+   * @returns {string} ID such as "manual-lx2k9c-4f7a"
+   */
+  generateManualId() {
+    const random = Math.random().toString(36).slice(2, 6);
+    return `manual-${Date.now().toString(36)}-${random}`;
+  }
+
+  /**
+   * Normalize the company names of all stored applications
+   * Each company gets its alias, or the most common spelling among the records that share its
+   * key. Companies the user corrected by hand are left alone (they still count towards the spelling).
+   * @returns {Promise<Object>} {updated, total}
+   */
+  async normalizeCompanies() {
+    return this.withWriteLock(async () => {
+      const allRecords = await this.readCSV();
+      const normalizer = await this.getCompanyNormalizer();
+      const companies = normalizer.buildIndex(allRecords.map(r => r.company));
+
+      let updated = 0;
+      for (const record of allRecords) {
+        if ((record.manual_fields || []).includes('company')) continue;
+
+        const company = normalizer.normalize(record.company, companies);
+        if (company !== record.company) {
+          record.company = company;
+          updated++;
+        }
+      }
+
+      if (updated > 0) {
+        await this.writeCSV(allRecords);
+      }
+      return { updated, total: allRecords.length };
+    });
+  }
+
+  /**
+   * Update fields of one application, flagging them as manually corrected
+   * Flagged fields are never overwritten by later automated runs.
+   * @param {string} messageId - Application message_id
+   * @param {Object} changes - Field values to set (only editable fields are applied)
+   * @returns {Promise<Object>} The updated record
+   */
+  async updateRecord(messageId, changes) {
+    return this.withWriteLock(async () => {
+      const allRecords = await this.readCSV();
+      const record = allRecords.find(r => r.message_id === messageId);
+
+      if (!record) {
+        throw new Error(`Record ${messageId} not found`);
+      }
+
+      if (changes.status !== undefined && !ApplicationStatus.isValid(changes.status)) {
+        throw new Error(`Invalid status: ${changes.status}`);
+      }
+
+      const manualFields = new Set(record.manual_fields || []);
+      const now = new Date().toISOString();
+
+      for (const field of this.editableFields) {
+        if (changes[field] === undefined) continue;
+
+        const value = typeof changes[field] === 'string' ? changes[field].trim() || null : changes[field];
+        if (value === record[field]) continue;
+
+        if (field === 'status') {
+          record.status_date = now;
+          record.events.push({
+            message_id: null,
+            thread_id: null,
+            status: value,
+            date: now,
+            subject: 'Status changed manually'
+          });
+        }
+
+        record[field] = value;
+        manualFields.add(field);
+      }
+
+      record.manual_fields = [...manualFields];
+      await this.writeCSV(allRecords);
+      return record;
+    });
+  }
+
+  /**
+   * Delete applications
+   * Their message IDs stay in scan history, so the emails are not re-added by later runs.
+   * @param {Array<string>} messageIds - Application message_ids
+   * @returns {Promise<Object>} Result {deleted, total}
+   */
+  async deleteRecords(messageIds) {
+    return this.withWriteLock(async () => {
+      const ids = new Set(messageIds);
+      const allRecords = await this.readCSV();
+      const remaining = allRecords.filter(r => !ids.has(r.message_id));
+
+      await this.writeCSV(remaining);
+
       return {
-        success: true,
-        total: allRecords.length,
-        added: uniqueNewRecords.length,
-        duplicatesSkipped: newRecords.length - uniqueNewRecords.length
+        deleted: allRecords.length - remaining.length,
+        total: remaining.length
       };
-    } catch (error) {
-      console.error('Error adding records:', error);
-      throw new Error('Failed to add records: ' + error.message);
-    }
+    });
+  }
+
+  /**
+   * Merge duplicate applications into one
+   * The primary keeps its own fields; linked emails, threads and events from the others are
+   * combined into it, and empty fields are filled from the others. The status follows the
+   * latest event unless it was set manually.
+   * @param {string} primaryId - message_id of the application to keep
+   * @param {Array<string>} otherIds - message_ids of the applications to merge into it
+   * @returns {Promise<Object>} The merged record
+   */
+  async mergeRecords(primaryId, otherIds) {
+    return this.withWriteLock(async () => {
+      const allRecords = await this.readCSV();
+      const primary = allRecords.find(r => r.message_id === primaryId);
+      const mergeIds = new Set(otherIds.filter(id => id !== primaryId));
+      const others = allRecords.filter(r => mergeIds.has(r.message_id));
+
+      if (!primary) {
+        throw new Error(`Record ${primaryId} not found`);
+      }
+      if (others.length === 0) {
+        throw new Error('No records to merge');
+      }
+
+      const manualFields = new Set(primary.manual_fields || []);
+
+      for (const other of others) {
+        primary.related_message_ids = [...new Set([...primary.related_message_ids, ...other.related_message_ids])];
+        primary.thread_ids = [...new Set([...primary.thread_ids, ...other.thread_ids])];
+        primary.events = [...primary.events, ...other.events];
+
+        for (const field of ['company', 'position', 'requisition_id']) {
+          if (!primary[field] && other[field]) {
+            primary[field] = other[field];
+            if ((other.manual_fields || []).includes(field)) manualFields.add(field);
+          }
+        }
+        for (const field of this.matcher.detailFields) {
+          primary[field] = primary[field] || other[field] || null;
+        }
+        this.matcher.fillCompensation(primary, other);
+
+        // Keep the earliest application date
+        if (new Date(other.email_date) < new Date(primary.email_date)) {
+          primary.email_date = other.email_date;
+        }
+      }
+
+      primary.events.sort((a, b) => new Date(a.date) - new Date(b.date));
+
+      if (!manualFields.has('status')) {
+        const latestEvent = primary.events[primary.events.length - 1];
+        primary.status = latestEvent.status;
+        primary.status_date = latestEvent.date;
+      }
+
+      primary.manual_fields = [...manualFields];
+      await this.writeCSV(allRecords.filter(r => !mergeIds.has(r.message_id)));
+      return primary;
+    });
   }
 
   /**
@@ -344,16 +717,16 @@ class CSVManager {
    */
   async recordExists(messageId) {
     const records = await this.readCSV();
-    return records.some(r => r.message_id === messageId);
+    return records.some(r => r.related_message_ids.includes(messageId));
   }
 
   /**
-   * Get all existing message IDs
+   * Get all existing message IDs, including follow-up emails attached to an application
    * @returns {Promise<Set>} Set of message IDs
    */
   async getExistingMessageIds() {
     const records = await this.readCSV();
-    return new Set(records.map(r => r.message_id));
+    return new Set(records.flatMap(r => r.related_message_ids));
   }
 
   /**
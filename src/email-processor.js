@@ -1,12 +1,40 @@
 // Email Processor - Orchestrates email categorization and information extraction
 
 class EmailProcessor {
-  constructor(aiProvider) {
+  /**
+   * @param {AIProvider} aiProvider - AI provider for categorization and extraction
+   * @param {Object} options - Options
+   * @param {RuleClassifier} options.ruleClassifier - Decides obvious emails before the AI step (optional)
+   * @param {TemplateExtractor} options.templateExtractor - Parses known ATS templates before the AI step (optional)
+   * @param {number} options.batchSize - Emails classified per AI request (1 = one request per email)
+   * @param {Object} options.budget - AI spending limits (0 = no limit): {maxRunTokens, maxRunCost,
+   *   maxDayTokens, maxDayCost, dayTokensUsed, dayCostUsed} where dayTokensUsed/dayCostUsed are
+   *   today's usage before this run
+   * @param {number} options.reviewThreshold - AI results with a lower confidence (0-1) go to the review
+   *   queue instead of being written or skipped (0 = never)
+   */
+  constructor(aiProvider, options = {}) {
     this.aiProvider = aiProvider;
+    this.ruleClassifier = options.ruleClassifier || null;
+    this.templateExtractor = options.templateExtractor || null;
+    this.batchSize = Math.max(1, options.batchSize || 1);
+    this.budget = options.budget || null;
+    this.budgetExhausted = null; // Which budget stopped the run, if any
+    this.reviewThreshold = options.reviewThreshold || 0;
+    this.reviewItems = []; // Uncertain emails held for review (see buildReviewItem)
+    this.matcher = new ApplicationMatcher();
+    this.compensationParser = new CompensationParser();
     this.stats = {
       emailsScanned: 0,
       confirmationsFound: 0,
+      statusUpdatesFound: 0,
       successfulExtractions: 0,
+      templateExtractions: 0,
+      aiCallsAvoided: 0,
+      batchRequests: 0,
+      batchRetries: 0,
+      invalidResponses: 0,
+      queuedForReview: 0,
       errors: 0
     };
     this.emailDetails = [];
@@ -23,6 +51,9 @@ class EmailProcessor {
     const records = [];
     this.resetStats();
     this.emailDetails = []; // Store detailed info about each email
+    this.reviewItems = [];
+    this.budgetExhausted = null;
+    let batchClassifications = new Map(); // messageId -> {status, classifiedBy, provider, promptVersion, confidence} for the current batch
 
     for (let i = 0; i < emails.length; i++) {
       // Check if processing should stop
@@ -32,12 +63,44 @@ class EmailProcessor {
       }
 
       const email = emails[i];
+      const startsBatch = this.batchSize > 1 && i % this.batchSize === 0;
+      const batch = startsBatch ? emails.slice(i, i + this.batchSize) : [];
+
+      // Stop the same way when the AI budget is used up. The classification request about to be
+      // sent counts too, so one large batch can't go far past the limit; extraction calls are not
+      // estimated, so the last email can still go slightly over.
+      this.budgetExhausted = this.checkBudget(this.batchSize > 1 ? batch : [email]);
+      if (this.budgetExhausted) {
+        console.log(`Processing stopped: ${this.budgetExhausted}`);
+        break;
+      }
+
+      // Classify the next batch in one AI request when reaching its first email
+      if (startsBatch) {
+        if (progressCallback) {
+          progressCallback({
+            current: i + 1,
+            total: emails.length,
+            message: `Classifying emails ${i + 1}-${i + batch.length} of ${emails.length}...`
+          });
+        }
+        batchClassifications = await this.classifyBatch(batch);
+      }
+
       const emailInfo = {
         index: i + 1,
+        messageId: email.messageId,
         subject: email.subject,
         from: email.from,
         date: email.date,
+        snippet: (email.body || '').substring(0, 300), // For saving a correction as a labeled example
         isConfirmation: false,
+        applicationStatus: null,
+        classifiedBy: null,
+        extractedBy: null,
+        provider: null, // AI provider that handled the email ('cache' for cached results)
+        promptVersion: null, // Prompts that produced the result, e.g. "b3/e3" (see buildPromptVersion)
+        confidence: null, // Lowest AI confidence (0-1) behind the result; null when rules or templates decided
         extracted: null,
         error: null
       };
@@ -60,18 +123,42 @@ class EmailProcessor {
         console.log(`  From: ${email.from}`);
         console.log(`  Date: ${email.date}`);
 
-        const isJobConfirmation = await this.categorizeEmail(email);
-        emailInfo.isConfirmation = isJobConfirmation;
-
-        console.log(`  Is Job Confirmation: ${isJobConfirmation ? 'YES' : 'NO'}`);
+        // Emails missing from the batch response are classified individually
+        const { status: applicationStatus, classifiedBy, provider, promptVersion, confidence } =
+          batchClassifications.get(email.messageId) || await this.classifyEmail(email);
+        if (classifiedBy !== 'ai') {
+          this.stats.aiCallsAvoided++;
+        }
+        emailInfo.applicationStatus = applicationStatus;
+        emailInfo.isConfirmation = applicationStatus === ApplicationStatus.APPLIED;
+        emailInfo.classifiedBy = classifiedBy;
+        emailInfo.provider = provider || null;
+        emailInfo.promptVersion = this.buildPromptVersion(promptVersion);
+        emailInfo.confidence = this.lowestConfidence(confidence);
+
+        console.log(`  Application Status: ${applicationStatus || 'NOT JOB'} (${classifiedBy})`);
+
+        // An unsure NOT_JOB would otherwise be skipped for good, so it is reviewed too
+        if (!applicationStatus && this.needsReview(emailInfo.confidence)) {
+          const record = this.buildRecord(email, { company: null, position: null }, null, emailInfo.promptVersion);
+          this.queueForReview(email, record, emailInfo, 'Unsure whether this email is about an application');
+          this.emailDetails.push(emailInfo);
+          continue;
+        }
 
-        if (!isJobConfirmation) {
-          emailInfo.status = 'Skipped - Not a job confirmation';
+        if (!applicationStatus) {
+          emailInfo.status = classifiedBy === 'ai'
+            ? 'Skipped - Not a job application email'
+            : `Skipped - Not a job application email (${classifiedBy})`;
           this.emailDetails.push(emailInfo);
           continue; // Skip this email
         }
 
-        this.stats.confirmationsFound++;
+        if (ApplicationStatus.isStatusChange(applicationStatus)) {
+          this.stats.statusUpdatesFound++;
+        } else {
+          this.stats.confirmationsFound++;
+        }
 
         // Step 2: Extract information
         console.log(`  Extracting information...`);
@@ -79,22 +166,23 @@ class EmailProcessor {
         emailInfo.extracted = extractedData;
 
         if (extractedData) {
+          emailInfo.extractedBy = extractedData.template || 'ai';
+          if (!extractedData.template) {
+            emailInfo.provider = this.mergeProviders(emailInfo.provider, this.aiProvider.lastProvider);
+          }
+          emailInfo.promptVersion = this.buildPromptVersion(promptVersion, extractedData);
+          emailInfo.confidence = this.lowestConfidence(confidence, extractedData.confidence);
           console.log(`  ✓ Company: ${extractedData.company}`);
           console.log(`  ✓ Position: ${extractedData.position}`);
 
-          // Create record
-          const record = {
-            message_id: email.messageId,
-            company: extractedData.company,
-            position: extractedData.position,
-            email_title: email.subject,
-            email_date: email.date,
-            processed_timestamp: new Date().toISOString()
-          };
-
-          records.push(record);
-          this.stats.successfulExtractions++;
-          emailInfo.status = 'Successfully extracted';
+          const record = this.buildRecord(email, extractedData, applicationStatus, emailInfo.promptVersion);
+          if (this.needsReview(emailInfo.confidence)) {
+            this.queueForReview(email, record, emailInfo, 'Low confidence in the status or details');
+          } else {
+            records.push(record);
+            this.stats.successfulExtractions++;
+            emailInfo.status = `Successfully extracted (${ApplicationStatus.getLabel(applicationStatus)})`;
+          }
         } else {
           console.log(`  ✗ Extraction failed - missing required fields`);
           emailInfo.status = 'Extraction failed';
@@ -102,12 +190,18 @@ class EmailProcessor {
 
         this.emailDetails.push(emailInfo);
 
-        // Add delay to avoid rate limiting
-        await this.delay(500);
+        // Add delay after AI extraction calls to avoid rate limiting
+        if (!extractedData || !extractedData.template) {
+          await this.delay(500);
+        }
 
       } catch (error) {
         console.error(`Error processing email ${email.messageId}:`, error);
         emailInfo.error = error.message;
+        emailInfo.errorType = error.type || null; // AIProviderError type, e.g. invalid_response
+        if (error.type === 'invalid_response') {
+          this.stats.invalidResponses++;
+        }
         emailInfo.status = `Error: ${error.message}`;
         this.emailDetails.push(emailInfo);
         this.stats.errors++;
@@ -128,17 +222,294 @@ class EmailProcessor {
     return records;
   }
 
+  /**
+   * Check whether the run or daily AI budget has been reached
+   * @param {Array} upcoming - Emails about to be classified; their request's estimated tokens and cost
+   *   count as spent (see estimateClassification)
+   * @returns {string|null} Description of the budget that was reached, or null
+   */
+  checkBudget(upcoming = []) {
+    if (!this.budget) return null;
+
+    const usage = this.aiProvider.getUsage();
+    const estimate = this.estimateClassification(upcoming);
+    const runTokens = usage.inputTokens + usage.outputTokens + estimate.tokens;
+    const runCost = usage.cost + estimate.cost;
+    const {
+      maxRunTokens = 0,
+      maxRunCost = 0,
+      maxDayTokens = 0,
+      maxDayCost = 0,
+      dayTokensUsed = 0,
+      dayCostUsed = 0
+    } = this.budget;
+
+    if (maxRunTokens > 0 && runTokens >= maxRunTokens) {
+      return `Run token budget reached (${maxRunTokens.toLocaleString()} tokens)`;
+    }
+    if (maxRunCost > 0 && runCost >= maxRunCost) {
+      return `Run spending budget reached ($${maxRunCost.toFixed(2)})`;
+    }
+    if (maxDayTokens > 0 && dayTokensUsed + runTokens >= maxDayTokens) {
+      return `Daily token budget reached (${maxDayTokens.toLocaleString()} tokens)`;
+    }
+    if (maxDayCost > 0 && dayCostUsed + runCost >= maxDayCost) {
+      return `Daily spending budget reached ($${maxDayCost.toFixed(2)})`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Estimate the AI request that will classify some emails, before it is sent
+   * Emails the rules decide are left out, as in classifyBatch.
+   * @param {Array} emails - Emails about to be classified
+   * @returns {Object} {tokens, cost} (zero when no AI request is needed)
+   */
+  estimateClassification(emails) {
+    const pending = emails.filter(email => !this.classifyWithRules(email));
+    if (pending.length === 0) return { tokens: 0, cost: 0 };
+
+    return pending.length > 1
+      ? this.aiProvider.estimateRequest('batch_categorization', pending)
+      : this.aiProvider.estimateRequest('categorization', pending);
+  }
+
+  /**
+   * Build an application record from an email and its extracted data
+   * Details found locally (requisition ID, ATS platform, posting link) win over the AI's, which fills
+   * the gaps; location and work mode only come from the AI. Compensation is read locally only when the
+   * AI found none, or confirms the local range (see CompensationParser.choose).
+   * @param {Object} email - Email object
+   * @param {Object} extractedData - Extracted {company, position} and, from the AI, job details
+   * @param {string} applicationStatus - Status the email reports
+   * @param {string} promptVersion - Prompts that produced the record (see buildPromptVersion)
+   * @returns {Object} Application record
+   */
+  buildRecord(email, extractedData, applicationStatus, promptVersion = null) {
+    const templates = this.templateExtractor;
+    const compensation = this.compensationParser.choose(
+      this.compensationParser.parse(`${email.subject || ''}\n${email.body || ''}`),
+      {
+        min: extractedData.salary_min,
+        max: extractedData.salary_max,
+        currency: extractedData.salary_currency,
+        period: extractedData.salary_period,
+        basis: extractedData.salary_basis
+      }
+    );
+
+    return {
+      message_id: email.messageId,
+      thread_id: email.threadId || null,
+      requisition_id: this.matcher.extractRequisitionId(email) ||
+        (extractedData.requisition_id ? extractedData.requisition_id.toUpperCase() : null),
+      source: 'email',
+      company: extractedData.company,
+      position: extractedData.position,
+      location: extractedData.location || null,
+      work_mode: extractedData.work_mode || null,
+      job_url: (templates && templates.findJobUrl(email)) || extractedData.job_url || null,
+      ats_platform: (templates && templates.detectPlatform(email)) || extractedData.ats_platform || null,
+      ...this.compensationParser.normalize(compensation),
+      status: applicationStatus,
+      status_date: email.date,
+      email_title: email.subject,
+      email_date: email.date,
+      processed_timestamp: new Date().toISOString(),
+      prompt_version: promptVersion
+    };
+  }
+
+  /**
+   * Get the lowest of the AI confidences behind a result
+   * @param {...(number|null|undefined)} values - Confidences; missing ones (rules, templates) are ignored
+   * @returns {number|null} Lowest confidence, or null when no AI confidence was involved
+   */
+  lowestConfidence(...values) {
+    const known = values.filter(value => typeof value === 'number');
+    return known.length > 0 ? Math.min(...known) : null;
+  }
+
+  /**
+   * Check whether a result is too uncertain to file without review
+   * @param {number|null} confidence - Lowest AI confidence behind the result
+   * @returns {boolean} True if the result should go to the review queue
+   */
+  needsReview(confidence) {
+    return this.reviewThreshold > 0 && confidence !== null && confidence < this.reviewThreshold;
+  }
+
+  /**
+   * Hold an uncertain email for review instead of writing or skipping it
+   * @param {Object} email - Email object
+   * @param {Object} record - Suggested record (status null when the suggestion is "not a job email")
+   * @param {Object} emailInfo - Run details entry for the email (updated)
+   * @param {string} reason - Why the email needs review
+   */
+  queueForReview(email, record, emailInfo, reason) {
+    this.reviewItems.push(this.buildReviewItem(email, record, emailInfo, reason));
+    this.stats.queuedForReview++;
+    emailInfo.status = `Queued for review (confidence ${Math.round(emailInfo.confidence * 100)}%)`;
+    console.log(`  ? ${reason}, queued for review`);
+  }
+
+  /**
+   * Build a review queue item
+   * The suggested record is kept whole, so approving it writes exactly what the run would have.
+   * @param {Object} email - Email object
+   * @param {Object} record - Suggested record
+   * @param {Object} emailInfo - Run details entry for the email
+   * @param {string} reason - Why the email needs review
+   * @returns {Object} {message_id, email_title, email_from, email_date, snippet, confidence, reason,
+   *   provider, queued_at, record}
+   */
+  buildReviewItem(email, record, emailInfo, reason) {
+    return {
+      message_id: email.messageId,
+      email_title: email.subject,
+      email_from: email.from,
+      email_date: email.date,
+      snippet: (email.body || '').substring(0, 500),
+      confidence: emailInfo.confidence,
+      reason,
+      provider: emailInfo.provider,
+      queued_at: new Date().toISOString(),
+      record
+    };
+  }
+
+  /**
+   * Get the emails this run queued for review
+   * @returns {Array} Review items
+   */
+  getReviewItems() {
+    return this.reviewItems;
+  }
+
+  /**
+   * Describe which prompts produced a result
+   * @param {string|null} classifiedWith - Categorization prompt version, null when a rule decided
+   * @param {Object} extractedData - Extracted data with prompt_version or template (optional)
+   * @returns {string} e.g. "b3/e3", "c4/template" or "rules/e3"
+   */
+  buildPromptVersion(classifiedWith, extractedData = null) {
+    const classification = classifiedWith || 'rules';
+    if (!extractedData) return classification;
+    return `${classification}/${extractedData.template ? 'template' : extractedData.prompt_version}`;
+  }
+
+  /**
+   * Classify an email with the local rules first, falling back to the AI
+   * @param {Object} email - Email object
+   * @returns {Promise<Object>} {status, classifiedBy, provider, promptVersion, confidence} where classifiedBy
+   *   is the rule reason or 'ai'
+   */
+  async classifyEmail(email) {
+    const ruleResult = this.classifyWithRules(email);
+    if (ruleResult) return ruleResult;
+
+    const status = await this.categorizeEmail(email);
+    return {
+      status,
+      classifiedBy: 'ai',
+      provider: this.aiProvider.lastProvider,
+      promptVersion: this.aiProvider.lastPromptVersion,
+      confidence: this.aiProvider.lastConfidence
+    };
+  }
+
+  /**
+   * Combine the providers that classified and extracted an email
+   * They differ when the run failed over to another provider in between.
+   * @param {string|null} classifiedWith - Provider that classified the email
+   * @param {string|null} extractedWith - Provider that extracted the details
+   * @returns {string|null} e.g. "openai" or "openai, gemini"
+   */
+  mergeProviders(classifiedWith, extractedWith) {
+    if (!classifiedWith || classifiedWith === extractedWith) return extractedWith || classifiedWith;
+    if (!extractedWith) return classifiedWith;
+    return `${classifiedWith}, ${extractedWith}`;
+  }
+
+  /**
+   * Classify an email with the local rules only
+   * @param {Object} email - Email object
+   * @returns {Object|null} {status, classifiedBy} or null if the rules aren't sure
+   */
+  classifyWithRules(email) {
+    if (!this.ruleClassifier) return null;
+
+    const result = this.ruleClassifier.classify(email);
+    return result.decided ? { status: result.status, classifiedBy: result.reason } : null;
+  }
+
+  /**
+   * Classify a batch of emails: rules first, then one AI request for the rest
+   * Emails the AI response left out (or garbled) are not in the result, so the caller
+   * classifies them individually. A failed batch request leaves all of them out.
+   * @param {Array} emails - Email objects
+   * @returns {Promise<Map>} messageId -> {status, classifiedBy, provider, promptVersion, confidence}
+   */
+  async classifyBatch(emails) {
+    const results = new Map();
+    const pending = [];
+
+    for (const email of emails) {
+      const ruleResult = this.classifyWithRules(email);
+      if (ruleResult) {
+        results.set(email.messageId, ruleResult);
+      } else {
+        pending.push(email);
+      }
+    }
+
+    // A single email is cheaper with the regular prompt
+    if (pending.length < 2) {
+      return results;
+    }
+
+    try {
+      const statuses = await this.aiProvider.categorizeBatch(pending);
+      const provider = this.aiProvider.lastProvider;
+      const promptVersions = this.aiProvider.lastBatchPromptVersions;
+      const confidences = this.aiProvider.lastBatchConfidences;
+      this.stats.batchRequests++;
+
+      pending.forEach((email, index) => {
+        if (statuses[index] !== undefined) {
+          results.set(email.messageId, {
+            status: statuses[index],
+            classifiedBy: 'ai',
+            provider,
+            promptVersion: promptVersions[index],
+            confidence: confidences[index]
+          });
+        } else {
+          this.stats.batchRetries++;
+        }
+      });
+
+      await this.delay(500);
+    } catch (error) {
+      console.warn('Batch classification failed, classifying individually:', error.message);
+      this.stats.batchRetries += pending.length;
+    }
+
+    return results;
+  }
+
   /**
    * Categorize a single email
    * @param {Object} email - Email object
-   * @returns {Promise<boolean>} True if job application confirmation
+   * @returns {Promise<string|null>} Application status or null if not job-related
    */
   async categorizeEmail(email) {
     try {
       return await this.aiProvider.categorizeEmail(email);
     } catch (error) {
       // Implement exponential backoff for rate limits
-      if (error.message.includes('rate limit') || error.message.includes('429')) {
+      if (error.type === 'rate_limit') {
         console.warn('Rate limit hit, retrying after delay...');
         await this.delay(2000);
         return await this.aiProvider.categorizeEmail(email);
@@ -153,16 +524,31 @@ class EmailProcessor {
    * @returns {Promise<Object|null>} Extracted data or null
    */
   async extractInformation(email) {
+    // Known ATS templates are parsed locally; anything else goes to the AI
+    if (this.templateExtractor) {
+      const templateData = this.templateExtractor.extract(email);
+      if (templateData) {
+        this.stats.templateExtractions++;
+        this.stats.aiCallsAvoided++;
+        return templateData;
+      }
+    }
+
     try {
       return await this.aiProvider.extractInformation(email);
     } catch (error) {
       // Implement exponential backoff for rate limits
-      if (error.message.includes('rate limit') || error.message.includes('429')) {
+      if (error.type === 'rate_limit') {
         console.warn('Rate limit hit, retrying after delay...');
         await this.delay(2000);
         return await this.aiProvider.extractInformation(email);
       }
 
+      // Malformed AI output is reported as an error on the email rather than a silent skip
+      if (error.type === 'invalid_response') {
+        throw error;
+      }
+
       // If extraction fails, log and return null (skip this email)
       console.error('Extraction failed:', error);
       return null;
@@ -176,9 +562,9 @@ class EmailProcessor {
    */
   async processSingleEmail(email) {
     try {
-      const isJobConfirmation = await this.categorizeEmail(email);
+      const { status: applicationStatus, promptVersion } = await this.classifyEmail(email);
 
-      if (!isJobConfirmation) {
+      if (!applicationStatus) {
         return null;
       }
 
@@ -188,14 +574,7 @@ class EmailProcessor {
         return null;
       }
 
-      return {
-        message_id: email.messageId,
-        company: extractedData.company,
-        position: extractedData.position,
-        email_title: email.subject,
-        email_date: email.date,
-        processed_timestamp: new Date().toISOString()
-      };
+      return this.buildRecord(email, extractedData, applicationStatus, this.buildPromptVersion(promptVersion, extractedData));
     } catch (error) {
       console.error('Error processing single email:', error);
       return null;
@@ -225,7 +604,14 @@ class EmailProcessor {
     this.stats = {
       emailsScanned: 0,
       confirmationsFound: 0,
+      statusUpdatesFound: 0,
       successfulExtractions: 0,
+      templateExtractions: 0,
+      aiCallsAvoided: 0,
+      batchRequests: 0,
+      batchRetries: 0,
+      invalidResponses: 0,
+      queuedForReview: 0,
       errors: 0
     };
   }
@@ -241,15 +627,21 @@ class EmailProcessor {
 
   /**
    * Validate extracted record
+   * Manual entries have no email, so they only need an ID, company and status.
    * @param {Object} record - Record object
    * @returns {boolean} True if valid
    */
   validateRecord(record) {
+    if (record && record.source === 'manual') {
+      return Boolean(record.message_id && record.company && ApplicationStatus.isValid(record.status));
+    }
+
     return (
       record &&
       record.message_id &&
       record.company &&
       record.position &&
+      ApplicationStatus.isValid(record.status) &&
       record.email_title &&
       record.email_date
     );
@@ -0,0 +1,135 @@
+// Example Store - Labeled examples from the user's corrections, used as few-shot examples in AI prompts
+// Examples are picked per email by similarity (sender domain and shared words), so only relevant
+// corrections are sent and prompts stay short
+
+class ExampleStore {
+  constructor() {
+    this.storageKey = 'labeledExamples';
+    this.maxExamples = 200; // Oldest examples are dropped above this
+    this.snippetLength = 300;
+    this.minScore = 0.1; // Below this an example is too unlike the email to help
+
+    // Words too common in job emails to say anything about similarity
+    this.stopWords = new Set([
+      'the', 'and', 'for', 'you', 'your', 'our', 'with', 'this', 'that', 'have', 'has', 'are', 'was',
+      'will', 'from', 'not', 'but', 'all', 'can', 'any', 'been', 'more', 'team', 'thank', 'thanks',
+      'hello', 'dear', 'regards', 'best', 'job', 'application', 'position', 'role', 'com'
+    ]);
+  }
+
+  /**
+   * Get stored examples, newest first
+   * @returns {Promise<Array>} Examples {id, subject, from, snippet, label, company, position, source, created}
+   */
+  async getExamples() {
+    try {
+      const result = await chrome.storage.local.get(this.storageKey);
+      return result[this.storageKey] || [];
+    } catch (error) {
+      console.error('Error reading labeled examples:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Add an example, replacing an earlier one for the same email
+   * @param {Object} entry - {id, subject, from, body or snippet, label, company, position, source}
+   *   where label is a status or 'not_job' and source is 'review' or 'run_details'
+   * @returns {Promise<Object>} The stored example
+   */
+  async add(entry) {
+    const label = entry.label === 'not_job' ? 'not_job' : ApplicationStatus.normalize(entry.label);
+    if (!entry.id || !label) {
+      throw new Error('An example needs an email and a status');
+    }
+
+    const example = {
+      id: entry.id,
+      subject: entry.subject || '',
+      from: entry.from || '',
+      snippet: (entry.snippet || entry.body || '').substring(0, this.snippetLength),
+      label,
+      company: label === 'not_job' ? null : (entry.company || '').trim() || null,
+      position: label === 'not_job' ? null : (entry.position || '').trim() || null,
+      source: entry.source || 'run_details',
+      created: new Date().toISOString()
+    };
+
+    const examples = (await this.getExamples()).filter(existing => existing.id !== example.id);
+    examples.unshift(example);
+    await chrome.storage.local.set({ [this.storageKey]: examples.slice(0, this.maxExamples) });
+    return example;
+  }
+
+  /**
+   * Remove examples
+   * @param {Array<string>} ids - Example IDs
+   * @returns {Promise<number>} Number removed
+   */
+  async remove(ids) {
+    const idSet = new Set(ids);
+    const examples = await this.getExamples();
+    const kept = examples.filter(example => !idSet.has(example.id));
+    await chrome.storage.local.set({ [this.storageKey]: kept });
+    return examples.length - kept.length;
+  }
+
+  /**
+   * Pick the examples most similar to a set of emails
+   * @param {Array} examples - Candidate examples
+   * @param {Array} emails - Emails the prompt is for (one, or a batch)
+   * @param {number} limit - Maximum examples to return
+   * @returns {Array} Examples at least minScore similar, most similar first
+   */
+  selectRelevant(examples, emails, limit) {
+    if (!examples || examples.length === 0 || limit < 1) return [];
+
+    const targets = emails.map(email => this.describe(email.subject, email.from, email.body));
+
+    return examples
+      .map(example => {
+        const features = this.describe(example.subject, example.from, example.snippet);
+        return { example, score: Math.max(...targets.map(target => this.similarity(features, target))) };
+      })
+      .filter(({ score }) => score >= this.minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ example }) => example);
+  }
+
+  /**
+   * Reduce an email to what similarity is measured on
+   * @param {string} subject - Subject
+   * @param {string} from - From header
+   * @param {string} body - Body (only the start is used, like the stored snippet)
+   * @returns {Object} {domain, words}
+   */
+  describe(subject, from, body) {
+    const domainMatch = (from || '').match(/@([a-z0-9.-]+)/i);
+    const text = `${subject || ''} ${(body || '').substring(0, this.snippetLength)}`.toLowerCase();
+    const words = new Set((text.match(/[a-z][a-z'-]{2,}/g) || []).filter(word => !this.stopWords.has(word)));
+    return { domain: domainMatch ? domainMatch[1].toLowerCase() : '', words };
+  }
+
+  /**
+   * Similarity between two described emails
+   * Shared words (Jaccard index) plus a bonus for the same sender domain.
+   * @param {Object} a - describe() result
+   * @param {Object} b - describe() result
+   * @returns {number} Score, 0 when nothing is shared
+   */
+  similarity(a, b) {
+    let shared = 0;
+    a.words.forEach(word => {
+      if (b.words.has(word)) shared++;
+    });
+    const union = a.words.size + b.words.size - shared;
+    const wordScore = union > 0 ? shared / union : 0;
+    return wordScore + (a.domain && a.domain === b.domain ? 0.5 : 0);
+  }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ExampleStore;
+}
@@ -4,19 +4,21 @@ class GmailClient {
   constructor() {
     this.accessToken = null;
     this.baseUrl = 'https://www.googleapis.com/gmail/v1/users/me';
+    this.pageSize = 100; // Message IDs per messages.list page (Gmail allows up to 500)
   }
 
   /**
    * Authenticate with Gmail using Chrome Identity API
    * Uses getAuthToken but clears cache first to allow account selection
+   * @param {boolean} interactive - Whether to show a sign-in prompt (false for background runs)
    * @returns {Promise<string>} Access token
    */
-  async authenticate() {
+  async authenticate(interactive = true) {
     try {
       // Get token with interactive prompt
       // After revoking token, this should prompt for account selection
       const token = await chrome.identity.getAuthToken({
-        interactive: true
+        interactive
       });
 
       this.accessToken = token.token || token;
@@ -28,24 +30,28 @@ class GmailClient {
 
   /**
    * Get cached access token or authenticate if needed
+   * @param {boolean} interactive - Whether authenticating may show a sign-in prompt
    * @returns {Promise<string>} Access token
    */
-  async getAccessToken() {
+  async getAccessToken(interactive = true) {
     if (this.accessToken) {
       return this.accessToken;
     }
-    return await this.authenticate();
+    return await this.authenticate(interactive);
   }
 
   /**
-   * Fetch emails from Gmail inbox
+   * Fetch emails from Gmail inbox, following page tokens until enough unscanned emails are found
    * @param {Object} options - Fetch options
    * @param {number} options.timePeriod - Days to look back
-   * @param {number} options.maxResults - Maximum emails to fetch
+   * @param {number} options.maxResults - Maximum number of unscanned emails to return
    * @param {string} options.checkpoint - ISO timestamp of last processed email
-   * @returns {Promise<Array>} Array of email objects
+   * @param {Set} options.excludeIds - Message IDs to skip without fetching (e.g. already scanned)
+   * @param {Function} options.onPage - Called after each page with cumulative counts
+   *   {page, listed, excluded, found}
+   * @returns {Promise<Array>} Array of email objects, newest first
    */
-  async fetchEmails({ timePeriod = 14, maxResults = 50, checkpoint = null }) {
+  async fetchEmails({ timePeriod = 14, maxResults = 50, checkpoint = null, excludeIds = new Set(), onPage = null }) {
     try {
       const token = await this.getAccessToken();
 
@@ -66,42 +72,31 @@ class GmailClient {
       const formattedDate = this.formatDateForGmail(dateAfter);
       query += ` after:${formattedDate}`;
 
-      // List messages
-      const listUrl = `${this.baseUrl}/messages?q=${encodeURIComponent(query)}&maxResults=${maxResults}`;
-      const listResponse = await fetch(listUrl, {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
+      const emails = [];
+      let pageToken = null;
+      let page = 0;
+      let listed = 0;
+      let excluded = 0;
+
+      do {
+        page++;
+        const listData = await this.listMessagesPage(query, pageToken, token);
+        const messages = listData.messages || [];
+        pageToken = listData.nextPageToken || null;
+        listed += messages.length;
+
+        // Skip excluded IDs before fetching details so scanned emails cost no API calls
+        const wanted = messages.filter(msg => !excludeIds.has(msg.id));
+        excluded += messages.length - wanted.length;
+
+        const remaining = maxResults - emails.length;
+        const pageEmails = await this.fetchEmailDetailsBatch(wanted.slice(0, remaining).map(msg => msg.id), token);
+        emails.push(...pageEmails);
+
+        if (onPage) {
+          onPage({ page, listed, excluded, found: emails.length });
         }
-      });
-
-      if (!listResponse.ok) {
-        const error = await listResponse.json();
-        throw new Error(`Gmail API error: ${error.error?.message || listResponse.statusText}`);
-      }
-
-      const listData = await listResponse.json();
-
-      if (!listData.messages || listData.messages.length === 0) {
-        return [];
-      }
-
-      // Fetch full details for each message
-      // Use Promise.allSettled to handle failures gracefully
-      const emailResults = await Promise.allSettled(
-        listData.messages.map(msg => this.fetchEmailDetails(msg.id, token))
-      );
-
-      // Filter out failed requests and extract successful emails
-      const emails = emailResults
-        .filter(result => {
-          if (result.status === 'rejected') {
-            console.error('Failed to fetch email:', result.reason);
-            return false;
-          }
-          return true;
-        })
-        .map(result => result.value);
+      } while (pageToken && emails.length < maxResults);
 
       // Filter out emails before checkpoint if it exists
       let filteredEmails = emails;
@@ -119,6 +114,144 @@ class GmailClient {
     }
   }
 
+  /**
+   * Fetch inbox emails added since a stored mailbox history ID (Gmail History API)
+   * @param {string} startHistoryId - History ID saved after the previous sync
+   * @param {Object} options - Fetch options
+   * @param {number} options.maxResults - Maximum number of unscanned emails to return
+   * @param {Set} options.excludeIds - Message IDs to skip without fetching (e.g. already scanned)
+   * @param {Function} options.onPage - Called after each history page with cumulative counts
+   *   {page, listed, excluded, found}
+   * @returns {Promise<Object|null>} {emails, historyId, complete} or null if the history ID has expired.
+   *   complete is false when more new emails exist than maxResults allowed.
+   */
+  async fetchEmailsSinceHistory(startHistoryId, { maxResults = 50, excludeIds = new Set(), onPage = null }) {
+    try {
+      const token = await this.getAccessToken();
+
+      const newIds = [];
+      const seen = new Set();
+      let pageToken = null;
+      let page = 0;
+      let listed = 0;
+      let excluded = 0;
+      let historyId = startHistoryId;
+
+      // History pages only carry IDs, so read all of them to know whether this sync can complete
+      do {
+        page++;
+        let url = `${this.baseUrl}/history?startHistoryId=${encodeURIComponent(startHistoryId)}` +
+          `&historyTypes=messageAdded&labelId=INBOX&maxResults=500`;
+        if (pageToken) {
+          url += `&pageToken=${encodeURIComponent(pageToken)}`;
+        }
+
+        const response = await fetch(url, {
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json'
+          }
+        });
+
+        // Gmail returns 404 when the start history ID is too old to replay
+        if (response.status === 404) {
+          console.warn(`History ID ${startHistoryId} has expired`);
+          return null;
+        }
+
+        if (!response.ok) {
+          const error = await response.json();
+          throw new Error(`Gmail API error: ${error.error?.message || response.statusText}`);
+        }
+
+        const data = await response.json();
+        pageToken = data.nextPageToken || null;
+        historyId = data.historyId || historyId;
+
+        for (const entry of data.history || []) {
+          for (const added of entry.messagesAdded || []) {
+            const message = added.message;
+            if (seen.has(message.id)) continue;
+            seen.add(message.id);
+            listed++;
+
+            if (excludeIds.has(message.id)) {
+              excluded++;
+            } else {
+              newIds.push(message.id);
+            }
+          }
+        }
+
+        if (onPage) {
+          onPage({ page, listed, excluded, found: Math.min(newIds.length, maxResults) });
+        }
+      } while (pageToken);
+
+      const emails = await this.fetchEmailDetailsBatch(newIds.slice(0, maxResults), token);
+
+      return {
+        emails,
+        historyId,
+        complete: newIds.length <= maxResults
+      };
+    } catch (error) {
+      throw new Error('Failed to fetch new emails: ' + error.message);
+    }
+  }
+
+  /**
+   * List one page of message IDs matching a query
+   * @param {string} query - Gmail search query
+   * @param {string|null} pageToken - Token from the previous page, or null for the first page
+   * @param {string} token - Access token
+   * @returns {Promise<Object>} Gmail list response {messages, nextPageToken}
+   */
+  async listMessagesPage(query, pageToken, token) {
+    let listUrl = `${this.baseUrl}/messages?q=${encodeURIComponent(query)}&maxResults=${this.pageSize}`;
+    if (pageToken) {
+      listUrl += `&pageToken=${encodeURIComponent(pageToken)}`;
+    }
+
+    const listResponse = await fetch(listUrl, {
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      }
+    });
+
+    if (!listResponse.ok) {
+      const error = await listResponse.json();
+      throw new Error(`Gmail API error: ${error.error?.message || listResponse.statusText}`);
+    }
+
+    return await listResponse.json();
+  }
+
+  /**
+   * Fetch full details for several messages, dropping any that fail
+   * @param {Array<string>} messageIds - Gmail message IDs
+   * @param {string} token - Access token
+   * @returns {Promise<Array>} Array of email objects
+   */
+  async fetchEmailDetailsBatch(messageIds, token) {
+    // Use Promise.allSettled to handle failures gracefully
+    const emailResults = await Promise.allSettled(
+      messageIds.map(id => this.fetchEmailDetails(id, token))
+    );
+
+    // Filter out failed requests and extract successful emails
+    return emailResults
+      .filter(result => {
+        if (result.status === 'rejected') {
+          console.error('Failed to fetch email:', result.reason);
+          return false;
+        }
+        return true;
+      })
+      .map(result => result.value);
+  }
+
   /**
    * Fetch full details for a specific email
    * @param {string} messageId - Gmail message ID
@@ -251,26 +384,34 @@ class GmailClient {
     return `${year}/${month}/${day}`;
   }
 
+  /**
+   * Get the user's Gmail profile
+   * @returns {Promise<Object>} Profile {emailAddress, historyId, messagesTotal, threadsTotal}
+   */
+  async getProfile() {
+    const token = await this.getAccessToken();
+    const response = await fetch(`${this.baseUrl}/profile`, {
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      }
+    });
+
+    if (!response.ok) {
+      throw new Error('Failed to fetch Gmail profile');
+    }
+
+    return await response.json();
+  }
+
   /**
    * Get user's email address from Gmail profile
    * @returns {Promise<string>} User's email address
    */
   async getUserEmail() {
     try {
-      const token = await this.getAccessToken();
-      const response = await fetch(`${this.baseUrl}/profile`, {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        }
-      });
-
-      if (!response.ok) {
-        throw new Error('Failed to fetch Gmail profile');
-      }
-
-      const data = await response.json();
-      return data.emailAddress;
+      const profile = await this.getProfile();
+      return profile.emailAddress;
     } catch (error) {
       console.error('Failed to get user email:', error);
       throw new Error('Failed to get user email: ' + error.message);
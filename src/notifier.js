@@ -0,0 +1,146 @@
+// Notifier - Desktop notifications and action badge for new applications and status changes
+
+class Notifier {
+  constructor() {
+    this.unseenKey = 'unseenNewRecords';
+    this.iconUrl = 'icons/icon128.png';
+
+    // Setting that opts in to notifications for each status change
+    this.statusSettingKeys = {
+      under_review: 'notifyUnderReview',
+      assessment: 'notifyAssessments',
+      interview: 'notifyInterviews',
+      offer: 'notifyOffers',
+      rejected: 'notifyRejections',
+      withdrawn: 'notifyWithdrawals'
+    };
+  }
+
+  /**
+   * Show notifications for the changes a run made and add new records to the badge
+   * @param {Object} changes - {addedRecords, statusChanges} from CSVManager.upsertRecords
+   * @param {Object} settings - Saved settings with notify* opt-ins
+   * @returns {Promise<void>}
+   */
+  async notifyRunChanges({ addedRecords = [], statusChanges = [] }, settings) {
+    if (addedRecords.length > 0) {
+      await this.addUnseen(addedRecords.length);
+
+      if (settings.notifyNewApplications) {
+        this.notifyNewApplications(addedRecords);
+      }
+    }
+
+    for (const change of this.collapseStatusChanges(statusChanges)) {
+      if (settings[this.statusSettingKeys[change.record.status]]) {
+        this.notifyStatusChange(change);
+      }
+    }
+  }
+
+  /**
+   * Show one notification summarizing newly tracked applications
+   * A basic notification with the list in its message; list notifications only show their first
+   * item on macOS and are not supported everywhere.
+   * @param {Array} records - New application records
+   */
+  notifyNewApplications(records) {
+    const title = records.length === 1
+      ? 'New application tracked'
+      : `${records.length} new applications tracked`;
+    const lines = records.slice(0, 5).map(record =>
+      `${record.company || 'Unknown company'}${record.position ? ` – ${record.position}` : ''}`
+    );
+    if (records.length > lines.length) {
+      lines.push(`and ${records.length - lines.length} more`);
+    }
+
+    chrome.notifications.create(`new-applications-${Date.now()}`, {
+      type: 'basic',
+      iconUrl: this.iconUrl,
+      title,
+      message: lines.join('\n')
+    });
+  }
+
+  /**
+   * Show a notification for an application whose status changed
+   * @param {Object} change - {record, previousStatus}
+   */
+  notifyStatusChange({ record, previousStatus }) {
+    const label = ApplicationStatus.getLabel(record.status);
+    const role = record.position ? ` – ${record.position}` : '';
+
+    chrome.notifications.create(`status-${record.message_id}-${record.status}`, {
+      type: 'basic',
+      iconUrl: this.iconUrl,
+      title: `${label}: ${record.company || 'Unknown company'}`,
+      message: `${ApplicationStatus.getLabel(previousStatus)} → ${label}${role}`,
+      priority: record.status === ApplicationStatus.OFFER || record.status === ApplicationStatus.INTERVIEW ? 2 : 0
+    });
+  }
+
+  /**
+   * Keep one change per application when several emails moved it in the same run
+   * @param {Array} statusChanges - [{record, previousStatus}] in the order they were applied
+   * @returns {Array} Changes with the first previous status and the final status
+   */
+  collapseStatusChanges(statusChanges) {
+    const byRecord = new Map();
+
+    for (const change of statusChanges) {
+      const existing = byRecord.get(change.record.message_id);
+      byRecord.set(change.record.message_id, {
+        record: change.record,
+        previousStatus: existing ? existing.previousStatus : change.previousStatus
+      });
+    }
+
+    return [...byRecord.values()].filter(change => change.record.status !== change.previousStatus);
+  }
+
+  /**
+   * Add to the count of new records the user hasn't seen yet
+   * @param {number} count - Number of new records
+   * @returns {Promise<void>}
+   */
+  async addUnseen(count) {
+    const result = await chrome.storage.local.get(this.unseenKey);
+    const unseen = (result[this.unseenKey] || 0) + count;
+    await chrome.storage.local.set({ [this.unseenKey]: unseen });
+    await this.updateBadge(unseen);
+  }
+
+  /**
+   * Clear the unseen count (popup or dashboard was viewed)
+   * @returns {Promise<void>}
+   */
+  async clearUnseen() {
+    await chrome.storage.local.set({ [this.unseenKey]: 0 });
+    await this.updateBadge(0);
+  }
+
+  /**
+   * Restore the badge from storage (e.g. after a browser restart)
+   * @returns {Promise<void>}
+   */
+  async restoreBadge() {
+    const result = await chrome.storage.local.get(this.unseenKey);
+    await this.updateBadge(result[this.unseenKey] || 0);
+  }
+
+  /**
+   * Show a count on the extension action badge
+   * @param {number} count - Count to show (0 hides the badge)
+   * @returns {Promise<void>}
+   */
+  async updateBadge(count) {
+    await chrome.action.setBadgeBackgroundColor({ color: '#4285f4' });
+    await chrome.action.setBadgeText({ text: count > 0 ? String(Math.min(count, 999)) : '' });
+  }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Notifier;
+}
@@ -0,0 +1,242 @@
+// Prompt Templates - Versioned, user-editable prompt text for the AI steps
+// Templates use {{placeholder}} variables; every saved edit gets a new version number, which is part
+// of the AI cache key and is stored on each record so results can be compared across prompt versions
+
+class PromptTemplates {
+  /**
+   * @param {Object} saved - Saved templates by name: {template, version} (template null = default text)
+   */
+  constructor(saved = {}) {
+    this.saved = saved || {};
+
+    // Shared by the single and batch categorization prompts
+    const guide = `STATUS LABELS:
+- APPLIED: confirmation/acknowledgment that my application was received or submitted
+- UNDER_REVIEW: my application is being reviewed or moved forward, with no assessment or interview yet
+- ASSESSMENT: invitation to complete a coding challenge, take-home, online test or questionnaire
+- INTERVIEW: invitation to interview, interview scheduling or rescheduling, interview confirmation
+- OFFER: job offer, offer letter, verbal offer follow-up
+- REJECTED: the company is not moving forward with my application
+- WITHDRAWN: confirmation that I withdrew my application
+- NOT_JOB: anything that is not about an application I submitted
+
+STRONG INDICATORS:
+APPLIED - Subject contains: "thank you for applying", "application received", "thank you for your application", "application submitted", "submission received", "we received your application"
+APPLIED - Body contains: "thank you for applying", "application has been received", "we received your application", "your application for the", "application submitted successfully"
+REJECTED - Body contains: "unfortunately", "not moving forward", "position has been filled", "decided not to", "not been selected", "have not been selected", "will not be moving forward", "decided to pursue other candidates"
+INTERVIEW - Body contains: "schedule an interview", "availability for a call", "phone screen", "invite you to interview", "next round"
+ASSESSMENT - Body contains: "coding challenge", "online assessment", "take-home", "HackerRank", "CodeSignal", "complete the following assessment"
+
+ATS sender domains (usually about an application): greenhouse-mail.io, greenhouse.io, lever.co, ashbyhq.com, myworkday.com, gem.com, workable.com, taleo.net, icims.com, smartrecruiters.com, appreview.gem.com
+
+NOT_JOB EXAMPLES:
+- Job alerts/recommendations from job boards
+- Marketing emails from recruiting platforms
+- Cold recruiter outreach (not responding to MY application)
+- General company newsletters`;
+
+    const rules = `IMPORTANT RULES:
+1. Rejection emails that "thank you for your interest" or "thank you for applying" are REJECTED, not APPLIED
+2. If an email both confirms receipt and invites to an assessment or interview, use the later stage
+3. Only use a status if the email is about an application I already submitted; otherwise NOT_JOB
+4. Give a lower confidence when the email is ambiguous, e.g. a "thank you for your interest" note that may or may not be a rejection`;
+
+    // Bump a default's version when its text changes, so cached results from the old text are not reused
+    this.defaults = {
+      categorization: {
+        label: 'Categorization (one email)',
+        version: 5,
+        placeholders: ['subject', 'from', 'body', 'examples'],
+        template: `Analyze this email and classify where it places one of MY job applications in the hiring pipeline.
+
+${guide}
+
+{{examples}}
+
+EMAIL TO ANALYZE:
+Subject: {{subject}}
+From: {{from}}
+Body: {{body}}
+
+${rules}
+
+OUTPUT (JSON only, no extra text), with exactly one label (APPLIED, UNDER_REVIEW, ASSESSMENT, INTERVIEW, OFFER, REJECTED, WITHDRAWN or NOT_JOB) and your confidence in it from 0 to 1:
+{"label": "APPLIED", "confidence": 0.9}`
+      },
+      batch_categorization: {
+        label: 'Categorization (batch)',
+        version: 5,
+        placeholders: ['count', 'emails', 'examples'],
+        template: `Analyze each of these {{count}} emails and classify where it places one of MY job applications in the hiring pipeline.
+
+${guide}
+
+${rules}
+
+{{examples}}
+
+EMAILS TO ANALYZE:
+{{emails}}
+
+OUTPUT (JSON only, no extra text), one entry per email with its number, label and your confidence in the label from 0 to 1:
+{"results": [{"index": 1, "label": "APPLIED", "confidence": 0.95}, {"index": 2, "label": "NOT_JOB", "confidence": 0.6}]}`
+      },
+      extraction: {
+        label: 'Extraction',
+        version: 7,
+        placeholders: ['subject', 'from', 'body', 'examples'],
+        template: `Extract the company name, job position and job details from this job application email (confirmation or status update).
+
+EMAIL:
+Subject: {{subject}}
+From: {{from}}
+Body: {{body}}
+
+EXTRACT:
+1. COMPANY NAME:
+   - Look in subject: "Thank you for applying to [Company]"
+   - Look in body: company name mentioned, email signature
+   - From domain: @databricks.com → "Databricks", GDIT@myworkday.com → "GDIT"
+   - If using ATS (greenhouse, ashby, workday, gem): find the actual company in the email text
+
+2. JOB POSITION (if available):
+   - Look for: "for the [position] role", "your application for [position]"
+   - Job titles in email: "Senior Engineer", "Data Scientist", etc.
+   - If you cannot find position, use null
+
+3. JOB DETAILS (each null if the email doesn't say):
+   - location: where the job is, e.g. "Austin, TX" or "London, UK"
+   - work_mode: "remote", "hybrid" or "onsite"
+   - requisition_id: the job or requisition ID, e.g. "R-10234", "JR12345"
+   - job_url: a link to the job posting or application, copied exactly (never made up)
+   - ats_platform: the applicant tracking system that sent the email, e.g. "Greenhouse", "Workday", "Lever"
+
+4. COMPENSATION (all null if the email states no pay):
+   - salary_min and salary_max: the numbers as stated, e.g. "$120k–$150k" → 120000 and 150000; a single figure goes in both
+   - salary_currency: ISO code, e.g. "USD", "EUR", "GBP"
+   - salary_period: "hour", "day", "week", "month" or "year"
+   - salary_basis: "base" for base salary, "total" for total compensation or OTE, null if not said
+
+IMPORTANT:
+- Extract at least the company name
+- Position can be null if not found
+- Do NOT extract or include application_date in your response
+
+{{examples}}
+
+OUTPUT (JSON only, no extra text), using null (not a string) for a field you cannot find, and your confidence from 0 to 1 that the company and position are right:
+{
+  "company": "Company Name",
+  "position": "Job Title",
+  "location": "Austin, TX",
+  "work_mode": "hybrid",
+  "requisition_id": "R-10234",
+  "job_url": "https://boards.greenhouse.io/acme/jobs/123",
+  "ats_platform": "Greenhouse",
+  "salary_min": 120000,
+  "salary_max": 150000,
+  "salary_currency": "USD",
+  "salary_period": "year",
+  "salary_basis": "base",
+  "confidence": 0.9
+}`
+      }
+    };
+
+    this.placeholderPattern = /\{\{\s*(\w+)\s*\}\}/g;
+  }
+
+  /**
+   * Template names
+   * @returns {Array<string>} Names in display order
+   */
+  get names() {
+    return Object.keys(this.defaults);
+  }
+
+  /**
+   * Get the active template
+   * @param {string} name - Template name
+   * @returns {Object} {template, version, custom} where custom is true for an edited template
+   */
+  get(name) {
+    const base = this.defaults[name];
+    if (!base) {
+      throw new Error(`Unknown prompt template: ${name}`);
+    }
+
+    const saved = this.saved[name];
+    return {
+      template: (saved && saved.template) || base.template,
+      version: Math.max((saved && saved.version) || 0, base.version),
+      custom: Boolean(saved && saved.template)
+    };
+  }
+
+  /**
+   * Render a template, replacing {{placeholder}} variables
+   * Unknown placeholders are left as they are.
+   * @param {string} name - Template name
+   * @param {Object} values - Placeholder values
+   * @param {string} template - Template text to use instead of the active one (for previews)
+   * @returns {string} Prompt text
+   */
+  render(name, values, template = this.get(name).template) {
+    return template.replace(this.placeholderPattern, (match, key) =>
+      values[key] !== undefined && values[key] !== null ? String(values[key]) : match
+    );
+  }
+
+  /**
+   * Check a template before saving
+   * @param {string} name - Template name
+   * @param {string} template - Template text
+   * @returns {string[]} Errors (empty when the template can be saved)
+   */
+  validate(name, template) {
+    const errors = [];
+    const text = template || '';
+    const { placeholders } = this.defaults[name];
+
+    if (!text.trim()) {
+      return ['The template is empty'];
+    }
+
+    const used = [...text.matchAll(this.placeholderPattern)].map(match => match[1]);
+    const format = keys => keys.map(key => `{{${key}}}`).join(', ');
+
+    // The email content has to reach the model; {{from}}, {{count}} and {{examples}} are optional
+    const required = placeholders.filter(key => key === 'subject' || key === 'body' || key === 'emails');
+    const missing = required.filter(key => !used.includes(key));
+    const unknown = [...new Set(used.filter(key => !placeholders.includes(key)))];
+
+    if (missing.length > 0) {
+      errors.push(`Missing placeholder${missing.length > 1 ? 's' : ''}: ${format(missing)}`);
+    }
+    if (unknown.length > 0) {
+      errors.push(`Unknown placeholder${unknown.length > 1 ? 's' : ''}: ${format(unknown)} (available: ${format(placeholders)})`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Build the saved entry for an edited template
+   * Versions only ever go up, so a version number always identifies one prompt text.
+   * @param {string} name - Template name
+   * @param {string|null} template - New text, or null to go back to the default text
+   * @returns {Object} {template, version} to store under the template's name
+   */
+  buildSaved(name, template) {
+    const isDefault = !template || template === this.defaults[name].template;
+    return {
+      template: isDefault ? null : template,
+      version: this.get(name).version + 1
+    };
+  }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PromptTemplates;
+}
@@ -0,0 +1,77 @@
+// Provider Circuit Breaker - Stops calling an AI provider that keeps failing during a run
+// Bad keys and exhausted quota open the circuit for the rest of the run; server and network
+// errors open it for a cooldown after several consecutive failures
+
+class ProviderCircuitBreaker {
+  /**
+   * @param {Object} options - Options
+   * @param {number} options.failureThreshold - Consecutive failures before the circuit opens
+   * @param {number} options.cooldownMs - How long an open circuit skips the provider
+   */
+  constructor(options = {}) {
+    this.failureThreshold = options.failureThreshold || 3;
+    this.cooldownMs = options.cooldownMs || 5 * 60 * 1000;
+    this.circuits = {}; // provider -> {failures, openUntil, lastError}
+  }
+
+  /**
+   * Check whether a provider should be skipped
+   * After the cooldown the next call is let through; another failure reopens the circuit.
+   * @param {string} provider - Provider name
+   * @param {number} now - Current time in ms
+   * @returns {boolean} True if the circuit is open
+   */
+  isOpen(provider, now = Date.now()) {
+    const circuit = this.circuits[provider];
+    return Boolean(circuit && circuit.openUntil && now < circuit.openUntil);
+  }
+
+  /**
+   * Record a successful call, closing the circuit
+   * @param {string} provider - Provider name
+   */
+  recordSuccess(provider) {
+    delete this.circuits[provider];
+  }
+
+  /**
+   * Record a failed call
+   * @param {string} provider - Provider name
+   * @param {AIProviderError} error - The failure
+   * @param {number} now - Current time in ms
+   */
+  recordFailure(provider, error, now = Date.now()) {
+    if (!this.circuits[provider]) {
+      this.circuits[provider] = { failures: 0, openUntil: null, lastError: null };
+    }
+
+    const circuit = this.circuits[provider];
+    circuit.failures++;
+    circuit.lastError = error.message;
+
+    if (error.type === 'auth' || error.type === 'quota') {
+      circuit.openUntil = Infinity;
+    } else if (circuit.failures >= this.failureThreshold) {
+      circuit.openUntil = now + this.cooldownMs;
+    }
+  }
+
+  /**
+   * Get providers whose circuit is open, with the error that opened it
+   * @returns {Object} provider -> last error message
+   */
+  getOpenCircuits() {
+    const open = {};
+    for (const [provider, circuit] of Object.entries(this.circuits)) {
+      if (this.isOpen(provider)) {
+        open[provider] = circuit.lastError;
+      }
+    }
+    return open;
+  }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ProviderCircuitBreaker;
+}
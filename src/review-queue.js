@@ -0,0 +1,78 @@
+// Review Queue - Emails the AI was unsure about, held for a human decision
+// Queued emails are neither written as records nor marked as scanned until they are reviewed
+
+class ReviewQueue {
+  constructor() {
+    this.storageKey = 'reviewQueue';
+  }
+
+  /**
+   * Get queued items, oldest email first
+   * @returns {Promise<Array>} Review items (see EmailProcessor.buildReviewItem)
+   */
+  async getItems() {
+    try {
+      const result = await chrome.storage.local.get(this.storageKey);
+      return result[this.storageKey] || [];
+    } catch (error) {
+      console.error('Error reading review queue:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get the message IDs waiting for review, so fetches can skip them
+   * @returns {Promise<Set>} Set of message IDs
+   */
+  async getIds() {
+    const items = await this.getItems();
+    return new Set(items.map(item => item.message_id));
+  }
+
+  /**
+   * Add items, replacing any already queued for the same email
+   * @param {Array} newItems - Review items
+   * @returns {Promise<void>}
+   */
+  async add(newItems) {
+    if (!newItems || newItems.length === 0) return;
+
+    const ids = new Set(newItems.map(item => item.message_id));
+    const items = (await this.getItems())
+      .filter(item => !ids.has(item.message_id))
+      .concat(newItems)
+      .sort((a, b) => new Date(a.email_date) - new Date(b.email_date));
+
+    await chrome.storage.local.set({ [this.storageKey]: items });
+  }
+
+  /**
+   * Remove an item once it has been decided
+   * @param {string} messageId - Message ID of the item
+   * @returns {Promise<Object|null>} The removed item, or null if it wasn't queued
+   */
+  async remove(messageId) {
+    const items = await this.getItems();
+    const item = items.find(entry => entry.message_id === messageId) || null;
+    if (!item) return null;
+
+    await chrome.storage.local.set({
+      [this.storageKey]: items.filter(entry => entry.message_id !== messageId)
+    });
+    return item;
+  }
+
+  /**
+   * Get the number of queued items
+   * @returns {Promise<number>} Item count
+   */
+  async getCount() {
+    const items = await this.getItems();
+    return items.length;
+  }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ReviewQueue;
+}
@@ -0,0 +1,234 @@
+// Rule Classifier - Deterministic pre-classification that runs before the AI step
+// Obvious emails (job alerts, ATS confirmations, clear rejections) are decided locally;
+// anything ambiguous is left for the AI provider
+
+class RuleClassifier {
+  /**
+   * @param {Array} userRules - User-defined rules [{field, pattern, status}], checked before built-in rules
+   * @param {Object} options - Options
+   * @param {boolean} options.builtInRules - Whether to apply the built-in rules (default true)
+   */
+  constructor(userRules = [], options = {}) {
+    this.userRules = userRules;
+    this.builtInRules = options.builtInRules !== false;
+
+    // Applicant tracking systems that send mail about applications
+    this.atsDomains = [
+      'greenhouse.io', 'greenhouse-mail.io', 'lever.co', 'hire.lever.co', 'ashbyhq.com',
+      'myworkday.com', 'workday.com', 'gem.com', 'workable.com', 'workablemail.com',
+      'taleo.net', 'icims.com', 'smartrecruiters.com', 'jobvite.com', 'breezy.hr', 'recruitee.com'
+    ];
+
+    // Job boards' alert and marketing senders: never about an application I submitted
+    this.notJobSenders = [
+      /jobalerts?-noreply@linkedin\.com/i,
+      /jobs-listings@linkedin\.com/i,
+      /alert@indeed\.com/i,
+      /alerts?@ziprecruiter\.com/i,
+      /noreply@glassdoor\.com/i
+    ];
+
+    this.notJobSubjects = [
+      /\bjob alerts?\b/i,
+      /\bjobs? (?:you may be interested in|recommended for you|matching your)/i,
+      /\bnew jobs? for you\b/i,
+      /\b(?:weekly|daily) digest\b/i,
+      /\bnewsletter\b/i,
+      /\bwebinar\b/i
+    ];
+
+    // Subjects that show an email is about an application even from a non-ATS sender
+    this.jobSubjects = [
+      /thanks? (?:you )?for applying/i,
+      /thank you for your (?:application|interest)/i,
+      /application (?:received|submitted|confirmation|status|update)/i,
+      /we(?:'ve| have)? received your application/i,
+      /your application (?:to|for|with|at)\b/i,
+      /\binterview (?:invitation|request|confirmation)\b/i
+    ];
+
+    // Body/subject phrases per status. UNDER_REVIEW has no reliable phrases and is left to the AI.
+    this.statusPatterns = {
+      [ApplicationStatus.REJECTED]: [
+        /not (?:be )?moving forward with (?:your|you)/i,
+        /will not be moving forward/i,
+        /decided (?:not to proceed|to (?:move forward|proceed) with other candidates)/i,
+        /pursue other candidates/i,
+        /(?:have|has) not been selected/i,
+        /position has been filled/i,
+        /regret to inform you/i
+      ],
+      [ApplicationStatus.WITHDRAWN]: [
+        /you(?:'ve| have) withdrawn your application/i,
+        /application (?:has been|was) withdrawn/i
+      ],
+      [ApplicationStatus.OFFER]: [
+        /pleased to (?:extend|offer) you/i,
+        /extend (?:you )?an offer/i,
+        /\boffer letter\b/i
+      ],
+      [ApplicationStatus.INTERVIEW]: [
+        /schedule (?:an|your|a) (?:interview|phone screen)/i,
+        /invite you to (?:an )?interview/i,
+        /\binterview invitation\b/i,
+        /availability for (?:a|an) (?:call|interview)/i
+      ],
+      [ApplicationStatus.ASSESSMENT]: [
+        /complete (?:the|an|this|our) (?:online )?assessment/i,
+        /\bcoding challenge\b/i,
+        /take-home (?:assignment|exercise|project|challenge)/i,
+        /(?:hackerrank|codesignal|codility) (?:assessment|test|challenge)/i
+      ],
+      [ApplicationStatus.APPLIED]: [
+        /thanks? (?:you )?for applying/i,
+        /(?:application|submission) (?:has been |was )?received/i,
+        /we(?:'ve| have)? received your application/i,
+        /application (?:was |has been )?submitted successfully/i,
+        /thank you for (?:your application|submitting your application)/i
+      ]
+    };
+
+    this.userRuleFields = ['from', 'subject', 'body', 'any'];
+  }
+
+  /**
+   * Classify an email without calling the AI
+   * @param {Object} email - Email object with subject, from and body
+   * @returns {Object} {decided: true, status, reason} when confident (status null = not job-related),
+   *   or {decided: false} when the email should go to the AI
+   */
+  classify(email) {
+    const subject = email.subject || '';
+    const from = email.from || '';
+    const body = (email.body || '').substring(0, 3000);
+
+    // 1. User-defined rules always win
+    for (const rule of this.userRules) {
+      if (this.matchesUserRule(rule, { from, subject, body })) {
+        return {
+          decided: true,
+          status: rule.status === 'not_job' ? null : rule.status,
+          reason: `Rule: ${rule.field} contains "${rule.pattern}"`
+        };
+      }
+    }
+
+    if (!this.builtInRules) {
+      return { decided: false };
+    }
+
+    // 2. Job alerts, digests and newsletters
+    if (this.notJobSenders.some(pattern => pattern.test(from)) ||
+        this.notJobSubjects.some(pattern => pattern.test(subject))) {
+      return { decided: true, status: null, reason: 'Job alert or newsletter' };
+    }
+
+    // 3. Only accept emails that are clearly about an application, with exactly one status signal
+    const atsSender = this.isAtsSender(from);
+    if (!atsSender && !this.jobSubjects.some(pattern => pattern.test(subject))) {
+      return { decided: false };
+    }
+
+    const text = `${subject}\n${body}`;
+    const matched = Object.keys(this.statusPatterns).filter(status =>
+      this.statusPatterns[status].some(pattern => pattern.test(text))
+    );
+
+    // Rejections usually thank you for applying too
+    const status = matched.length === 1 ? matched[0]
+      : matched.length === 2 && matched.includes(ApplicationStatus.REJECTED) && matched.includes(ApplicationStatus.APPLIED)
+        ? ApplicationStatus.REJECTED
+        : null;
+
+    if (!status) {
+      return { decided: false };
+    }
+
+    return {
+      decided: true,
+      status,
+      reason: `${atsSender ? 'ATS sender' : 'Subject'} and ${ApplicationStatus.getLabel(status).toLowerCase()} wording`
+    };
+  }
+
+  /**
+   * Check whether the sender address belongs to an ATS domain (or a subdomain of one)
+   * @param {string} from - From header
+   * @returns {boolean} True for ATS senders
+   */
+  isAtsSender(from) {
+    const match = from.match(/@([a-z0-9.-]+)/i);
+    if (!match) return false;
+
+    const domain = match[1].toLowerCase();
+    return this.atsDomains.some(ats => domain === ats || domain.endsWith(`.${ats}`));
+  }
+
+  /**
+   * Check a user-defined rule against an email
+   * @param {Object} rule - {field, pattern, status}
+   * @param {Object} fields - {from, subject, body}
+   * @returns {boolean} True if the pattern appears in the rule's field (case-insensitive)
+   */
+  matchesUserRule(rule, fields) {
+    const pattern = (rule.pattern || '').toLowerCase();
+    if (!pattern) return false;
+
+    const values = rule.field === 'any'
+      ? [fields.from, fields.subject, fields.body]
+      : [fields[rule.field] || ''];
+
+    return values.some(value => value.toLowerCase().includes(pattern));
+  }
+
+  /**
+   * Parse user rules from text, one rule per line: "<field>: <text> => <status>"
+   * e.g. "from: @acme-careers.com => applied" or "subject: Talent Community => not_job"
+   * @param {string} text - Rules text (blank lines and lines starting with # are ignored)
+   * @returns {Object} {rules: Array, errors: string[]}
+   */
+  parseRules(text) {
+    const rules = [];
+    const errors = [];
+    const statuses = ['not_job', ...ApplicationStatus.all];
+
+    (text || '').split('\n').forEach((line, index) => {
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith('#')) return;
+
+      const match = trimmed.match(/^(\w+)\s*:\s*(.+?)\s*=>\s*(\w+)$/);
+      if (!match) {
+        errors.push(`Line ${index + 1}: expected "<field>: <text> => <status>"`);
+        return;
+      }
+
+      const [, field, pattern, status] = match;
+      if (!this.userRuleFields.includes(field.toLowerCase())) {
+        errors.push(`Line ${index + 1}: field must be one of ${this.userRuleFields.join(', ')}`);
+        return;
+      }
+      if (!statuses.includes(status.toLowerCase())) {
+        errors.push(`Line ${index + 1}: status must be one of ${statuses.join(', ')}`);
+        return;
+      }
+
+      rules.push({ field: field.toLowerCase(), pattern, status: status.toLowerCase() });
+    });
+
+    return { rules, errors };
+  }
+
+  /**
+   * Format user rules back into editable text
+   * @param {Array} rules - [{field, pattern, status}]
+   * @returns {string} One rule per line
+   */
+  formatRules(rules) {
+    return (rules || []).map(rule => `${rule.field}: ${rule.pattern} => ${rule.status}`).join('\n');
+  }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RuleClassifier;
+}
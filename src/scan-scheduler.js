@@ -0,0 +1,100 @@
+// Scan Scheduler - Registers chrome.alarms for automatic background scans
+
+class ScanScheduler {
+  constructor() {
+    this.alarmName = 'scheduledScan';
+    this.minIntervalMinutes = 15;
+  }
+
+  /**
+   * Replace the scan alarm to match the saved schedule settings
+   * @param {Object} settings - Settings with scheduleMode, scheduleTime, scheduleIntervalMinutes
+   * @returns {Promise<string|null>} ISO time of the next run, or null if scheduling is off
+   */
+  async applySchedule({ scheduleMode, scheduleTime, scheduleIntervalMinutes }) {
+    await chrome.alarms.clear(this.alarmName);
+
+    switch (scheduleMode) {
+      case 'hourly':
+        await chrome.alarms.create(this.alarmName, {
+          delayInMinutes: 60,
+          periodInMinutes: 60
+        });
+        break;
+      case 'daily':
+        // One-shot: a fixed 24-hour period would run an hour off after a daylight saving change,
+        // so scheduleNext() computes each day's run from the local time again
+        await chrome.alarms.create(this.alarmName, {
+          when: this.getNextDailyRun(scheduleTime).getTime()
+        });
+        break;
+      case 'custom': {
+        const interval = Math.max(parseInt(scheduleIntervalMinutes) || 0, this.minIntervalMinutes);
+        await chrome.alarms.create(this.alarmName, {
+          delayInMinutes: interval,
+          periodInMinutes: interval
+        });
+        break;
+      }
+      case 'off':
+        return null;
+      default:
+        throw new Error(`Unsupported schedule mode: ${scheduleMode}`);
+    }
+
+    return await this.getNextRun();
+  }
+
+  /**
+   * Set the alarm for the next run after the scan alarm fired
+   * Hourly and custom alarms repeat by themselves; daily alarms are one-shot.
+   * @param {Object} settings - Settings with scheduleMode, scheduleTime, scheduleIntervalMinutes
+   * @returns {Promise<string|null>} ISO time of the next run, or null if scheduling is off
+   */
+  async scheduleNext(settings) {
+    if (settings.scheduleMode !== 'daily') {
+      return await this.getNextRun();
+    }
+    return await this.applySchedule(settings);
+  }
+
+  /**
+   * Get the next scheduled run time
+   * @returns {Promise<string|null>} ISO time or null if no scan is scheduled
+   */
+  async getNextRun() {
+    const alarm = await chrome.alarms.get(this.alarmName);
+    return alarm ? new Date(alarm.scheduledTime).toISOString() : null;
+  }
+
+  /**
+   * Check whether an alarm is the scan alarm
+   * @param {Object} alarm - chrome.alarms Alarm
+   * @returns {boolean} True if the alarm triggers a scan
+   */
+  isScanAlarm(alarm) {
+    return alarm.name === this.alarmName;
+  }
+
+  /**
+   * Get the next occurrence of a local time of day
+   * @param {string} time - Time in HH:MM (24-hour) format
+   * @param {Date} now - Current time (defaults to now)
+   * @returns {Date} Next run date
+   */
+  getNextDailyRun(time, now = new Date()) {
+    const [hours, minutes] = (time || '09:00').split(':').map(value => parseInt(value) || 0);
+
+    const next = new Date(now);
+    next.setHours(hours, minutes, 0, 0);
+    if (next <= now) {
+      next.setDate(next.getDate() + 1);
+    }
+    return next;
+  }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ScanScheduler;
+}
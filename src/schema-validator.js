@@ -0,0 +1,89 @@
+// Schema Validator - Checks AI responses against the JSON schemas sent with structured-output requests
+// Supports the subset of JSON Schema the response schemas use: type (or a list of types), enum,
+// properties, required, additionalProperties: false and items
+
+class SchemaValidator {
+  /**
+   * Validate a value against a schema
+   * @param {any} value - Parsed JSON value
+   * @param {Object} schema - JSON schema
+   * @param {string} path - Location of the value, used in error messages
+   * @returns {string[]} Validation errors (empty when the value is valid)
+   */
+  validate(value, schema, path = '$') {
+    const types = [].concat(schema.type || []);
+
+    if (types.length > 0 && !types.some(type => this.hasType(value, type))) {
+      return [`${path}: expected ${types.join(' or ')}, got ${this.describe(value)}`];
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      return [`${path}: ${JSON.stringify(value)} is not one of ${schema.enum.join(', ')}`];
+    }
+
+    const errors = [];
+
+    if (this.hasType(value, 'object')) {
+      for (const key of schema.required || []) {
+        if (!(key in value)) {
+          errors.push(`${path}: missing required property "${key}"`);
+        }
+      }
+      for (const [key, propertyValue] of Object.entries(value)) {
+        const propertySchema = (schema.properties || {})[key];
+        if (propertySchema) {
+          errors.push(...this.validate(propertyValue, propertySchema, `${path}.${key}`));
+        } else if (schema.additionalProperties === false) {
+          errors.push(`${path}: unexpected property "${key}"`);
+        }
+      }
+    }
+
+    if (Array.isArray(value) && schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...this.validate(item, schema.items, `${path}[${index}]`));
+      });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Check a value against one JSON Schema type
+   * @param {any} value - Value
+   * @param {string} type - JSON Schema type name
+   * @returns {boolean} True if the value has the type
+   */
+  hasType(value, type) {
+    switch (type) {
+      case 'null':
+        return value === null;
+      case 'object':
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+      case 'array':
+        return Array.isArray(value);
+      case 'integer':
+        return Number.isInteger(value);
+      case 'number':
+        return typeof value === 'number' && Number.isFinite(value);
+      default:
+        return typeof value === type;
+    }
+  }
+
+  /**
+   * Describe a value's type for error messages
+   * @param {any} value - Value
+   * @returns {string} Type name
+   */
+  describe(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+  }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SchemaValidator;
+}
@@ -0,0 +1,386 @@
+// Template Extractor - Deterministic company/position extraction for known ATS email templates
+// Templates are matched by sender domain and a subject/body fingerprint, so one ATS can have a template per kind
+// of email; the AI provider is only used when no template matches.
+// Also finds the ATS platform and job posting link of any email, whichever way it was extracted.
+
+class TemplateExtractor {
+  constructor() {
+    this.templates = [];
+
+    // Words in sender display names that are not part of the company name
+    this.senderNoise = /\b(?:hiring team|recruiting team|recruiting|recruitment|talent acquisition|talent team|careers?|jobs|people team|hr|no-?reply|do not reply)\b/gi;
+
+    // ATS names that show up as the sender name instead of the company
+    this.atsNames = ['greenhouse', 'lever', 'workday', 'ashby', 'icims', 'smartrecruiters', 'workable'];
+
+    // ATS platforms without a template, recognised by sender or link domain
+    this.platformDomains = {
+      'jobvite.com': 'Jobvite',
+      'taleo.net': 'Taleo',
+      'successfactors.com': 'SuccessFactors',
+      'bamboohr.com': 'BambooHR',
+      'applytojob.com': 'JazzHR',
+      'recruitee.com': 'Recruitee',
+      'teamtailor.com': 'Teamtailor',
+      'breezy.hr': 'Breezy HR',
+      'personio.com': 'Personio',
+      'rippling.com': 'Rippling',
+      'dover.com': 'Dover'
+    };
+
+    // Link paths that point at a job posting rather than an unsubscribe page or a logo
+    this.jobPathPattern = /\/(?:jobs?|careers?|positions?|openings?|postings?|requisitions?|vacanc(?:y|ies))(?:[/?#.-]|$)/i;
+
+    this.registerDefaults();
+  }
+
+  /**
+   * Register an extraction template
+   * Several templates can share a domain; the first registered one whose domain and fingerprint
+   * both match handles the email. Patterns use named groups (?<company>...) and (?<position>...);
+   * the first match for each field wins, subject patterns before body patterns.
+   * @param {Object} template - Template definition
+   * @param {string} template.name - Display name (e.g. "Greenhouse confirmation")
+   * @param {string} template.platform - ATS the template belongs to (e.g. "Greenhouse")
+   * @param {Array<string>} template.domains - Sender domains (subdomains match too)
+   * @param {Array<RegExp>} template.fingerprints - Signatures of the template, tested against the subject
+   *   and the start of the body; any one has to match (empty = every email from the domains)
+   * @param {Array<RegExp>} template.subjectPatterns - Patterns applied to the subject
+   * @param {Array<RegExp>} template.bodyPatterns - Patterns applied to the body
+   * @param {Function} template.companyFromSender - Optional (address, displayName) => company fallback
+   */
+  register(template) {
+    this.templates.push({
+      fingerprints: [],
+      subjectPatterns: [],
+      bodyPatterns: [],
+      ...template
+    });
+  }
+
+  /**
+   * Register the built-in templates for common ATS platforms
+   * Each platform gets a status update template (interview invitations, rejections) and a
+   * confirmation template. Status updates are registered first: a rejection often opens with
+   * the same "thank you for applying" line as a confirmation.
+   */
+  registerDefaults() {
+    // Phrasings shared by most ATS confirmation templates; positions followed by "position",
+    // "role" etc. may contain commas ("Backend Engineer, Payments")
+    const positionPatterns = [
+      /(?:applying|applied|application) (?:for|to) (?:the )?(?<position>[^\n.!]{2,80}?) (?:position|role|job|opening|opportunity)(?: at (?<company>[^\n.!,]{2,60}))?\b/i,
+      /(?:received|submitted) your application for (?:the )?(?<position>[^\n.!,]{2,80}?)(?: (?:position|role|job))?(?: at (?<company>[^\n.!,]{2,60}))?[.!,\n]/i,
+      /your application for (?:the )?(?<position>[^\n.!]{2,80}?) (?:position|role|job) (?:at|with) (?<company>[^\n.!,]{2,60})/i,
+      /interest in the (?<position>[^\n.!]{2,80}?) (?:position|role|job|opening)(?: at (?<company>[^\n.!,]{2,60}))?/i
+    ];
+    const companyPatterns = [
+      /(?:thanks? (?:you )?for applying|thank you for your application|your application) (?:to|with|at) (?<company>[^\n.!:|(-]{2,60})/i,
+      /thank you for your interest in (?<company>[^\n.!,]{2,60})[.!]/i
+    ];
+
+    // Phrasings of interview invitations and rejections
+    const updatePatterns = [
+      /interview for (?:the )?(?<position>[^\n.!,]{2,80}?) (?:position|role|job)(?: (?:at|with) (?<company>[^\n.!,]{2,60}))?/i,
+      /(?:move|moving) forward with your (?:application|candidacy) for (?:the )?(?<position>[^\n.!,]{2,80}?) (?:position|role|job)(?: at (?<company>[^\n.!,]{2,60}))?/i,
+      ...positionPatterns,
+      /update (?:on|regarding) your application (?:to|with|at) (?<company>[^\n.!:|(-]{2,60})/i,
+      ...companyPatterns
+    ];
+
+    // What each kind of email says, so a template only handles the emails it was written for
+    const updateFingerprints = [
+      /\bunfortunately\b/i,
+      /\bnot (?:to )?(?:move|moving|proceed|proceeding) forward\b/i,
+      /\b(?:decided|chosen) to (?:move forward|proceed|pursue) (?:with )?other candidates\b/i,
+      /\b(?:schedule|invite you to|invitation to) (?:an? |your )?(?:phone |video |technical |onsite |on-site )?interview\b/i,
+      /\binterview (?:invitation|request)\b/i
+    ];
+    const confirmationFingerprints = [
+      /\bthanks? (?:you )?for (?:applying|your application|your interest)\b/i,
+      /\bapplication (?:has been |was )?(?:received|submitted)\b/i,
+      /\bwe(?:'ve| have) received your application\b/i,
+      /\byour application (?:for|to)\b/i
+    ];
+
+    const registerPlatform = ({ platform, domains, subjectPatterns = [], bodyPatterns = [], companyFromSender }) => {
+      this.register({
+        name: `${platform} status update`,
+        platform,
+        domains,
+        fingerprints: updateFingerprints,
+        subjectPatterns: [...companyPatterns],
+        bodyPatterns: [...updatePatterns],
+        companyFromSender
+      });
+      this.register({
+        name: `${platform} confirmation`,
+        platform,
+        domains,
+        fingerprints: confirmationFingerprints,
+        subjectPatterns: [...subjectPatterns, ...companyPatterns],
+        bodyPatterns: [...bodyPatterns, ...positionPatterns, ...companyPatterns],
+        companyFromSender
+      });
+    };
+    const displayName = (address, name) => name;
+
+    registerPlatform({
+      platform: 'Greenhouse',
+      domains: ['greenhouse.io', 'greenhouse-mail.io'],
+      companyFromSender: displayName
+    });
+
+    registerPlatform({
+      platform: 'Lever',
+      domains: ['lever.co'],
+      companyFromSender: displayName
+    });
+
+    registerPlatform({
+      platform: 'Workday',
+      domains: ['myworkday.com', 'workday.com'],
+      subjectPatterns: [
+        /application (?:received|submitted)\s*[-:–]\s*(?<position>[^\n(]{2,80}?)\s*(?:\([^)]*\))?$/i
+      ],
+      // Workday sends from <tenant>@myworkday.com, and the tenant is usually the company
+      companyFromSender: (address, name) => {
+        const tenant = address.split('@')[0];
+        return name || (/^(?:no-?reply|workday)$/i.test(tenant) ? null : tenant);
+      }
+    });
+
+    registerPlatform({
+      platform: 'Ashby',
+      domains: ['ashbyhq.com'],
+      companyFromSender: displayName
+    });
+
+    registerPlatform({
+      platform: 'iCIMS',
+      domains: ['icims.com'],
+      subjectPatterns: [
+        /^(?<company>[^\n:|-]{2,60}?)\s*[-:|]\s*(?:thank you for applying|application received)/i
+      ],
+      companyFromSender: displayName
+    });
+
+    registerPlatform({
+      platform: 'SmartRecruiters',
+      domains: ['smartrecruiters.com'],
+      subjectPatterns: [
+        /thank you for your application:?\s+(?<position>[^\n]{2,80})$/i,
+        /^(?<company>[^\n:]{2,60}):\s*your application for (?<position>[^\n]{2,80})$/i
+      ],
+      companyFromSender: displayName
+    });
+
+    registerPlatform({
+      platform: 'Workable',
+      domains: ['workable.com', 'workablemail.com'],
+      bodyPatterns: [
+        /your application for the (?<position>[^\n.!,]{2,80}?) job was submitted/i
+      ],
+      companyFromSender: displayName
+    });
+  }
+
+  /**
+   * Find the template for an email: sender domain first, then the template's fingerprint
+   * @param {Object} email - Email object with from, subject and body
+   * @returns {Object|null} Template or null
+   */
+  findTemplate(email) {
+    const { address } = this.parseSender(email.from);
+    const domain = (address.split('@')[1] || '').toLowerCase();
+    if (!domain) return null;
+
+    const text = `${email.subject || ''}\n${(email.body || '').substring(0, 3000)}`;
+    return this.templates.find(template =>
+      template.domains.some(d => domain === d || domain.endsWith(`.${d}`)) &&
+      (template.fingerprints.length === 0 || template.fingerprints.some(pattern => pattern.test(text)))
+    ) || null;
+  }
+
+  /**
+   * Extract company and position with a matching template
+   * Returns null unless both fields are found, so partial matches still go to the AI.
+   * @param {Object} email - Email object with subject, from, body and date
+   * @returns {Object|null} {company, position, application_date, template} or null
+   */
+  extract(email) {
+    const template = this.findTemplate(email);
+    if (!template) return null;
+
+    const subject = (email.subject || '').trim();
+    const body = (email.body || '').substring(0, 3000).replace(/[ \t]+/g, ' ');
+    const fields = { company: null, position: null };
+
+    const apply = (patterns, text) => {
+      for (const pattern of patterns) {
+        const groups = (text.match(pattern) || {}).groups || {};
+        fields.company = fields.company || this.cleanCompany(groups.company);
+        fields.position = fields.position || this.cleanPosition(groups.position);
+      }
+    };
+
+    apply(template.subjectPatterns, subject);
+    apply(template.bodyPatterns, body);
+
+    if (!fields.company && template.companyFromSender) {
+      const { address, displayName } = this.parseSender(email.from);
+      fields.company = this.cleanCompany(template.companyFromSender(address, displayName));
+    }
+
+    if (!fields.company || !fields.position) {
+      return null;
+    }
+
+    return {
+      company: fields.company,
+      position: fields.position,
+      application_date: this.formatDate(email.date),
+      template: template.name
+    };
+  }
+
+  /**
+   * Find the ATS platform behind an email
+   * The sender domain decides first; emails sent from the company's own domain are matched
+   * by the ATS links in the body.
+   * @param {Object} email - Email object with from and body
+   * @returns {string|null} Platform name (e.g. "Greenhouse") or null
+   */
+  detectPlatform(email) {
+    const { address } = this.parseSender(email.from);
+    const domains = [(address.split('@')[1] || '').toLowerCase(), ...this.findLinks(email).map(url => url.hostname)];
+
+    for (const domain of domains) {
+      const platform = this.platformForDomain(domain);
+      if (platform) return platform;
+    }
+    return null;
+  }
+
+  /**
+   * Find a link to the job posting in an email body
+   * Links to a known ATS come first, then links whose path looks like a posting.
+   * @param {Object} email - Email object with body
+   * @returns {string|null} URL or null
+   */
+  findJobUrl(email) {
+    const links = this.findLinks(email).filter(url => !/unsubscribe|privacy|preferences/i.test(url.href));
+    const postings = links.filter(url => this.jobPathPattern.test(url.pathname));
+    const best = postings.find(url => this.platformForDomain(url.hostname)) || postings[0];
+    return best ? best.href : null;
+  }
+
+  /**
+   * Get the http(s) links in an email body
+   * @param {Object} email - Email object with body
+   * @returns {Array<URL>} Parsed links, in order
+   */
+  findLinks(email) {
+    const matches = (email.body || '').match(/https?:\/\/[^\s<>"')\]]+/gi) || [];
+    return matches
+      .map(href => {
+        try {
+          return new URL(href.replace(/[.,;:!?]+$/, ''));
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Get the ATS platform a domain belongs to
+   * @param {string} domain - Domain (subdomains match too)
+   * @returns {string|null} Platform name or null
+   */
+  platformForDomain(domain) {
+    if (!domain) return null;
+    const matches = (d) => domain === d || domain.endsWith(`.${d}`);
+
+    const template = this.templates.find(t => t.domains.some(matches));
+    if (template) return template.platform;
+
+    const platformDomain = Object.keys(this.platformDomains).find(matches);
+    return platformDomain ? this.platformDomains[platformDomain] : null;
+  }
+
+  /**
+   * Format an email date as YYYY-MM-DD (local time, same as AIProvider.validateDate)
+   * @param {string} dateString - Email date
+   * @returns {string|null} Date or null if invalid
+   */
+  formatDate(dateString) {
+    const date = new Date(dateString);
+    if (!dateString || isNaN(date.getTime())) return null;
+
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+
+  /**
+   * Split a From header into address and display name
+   * @param {string} from - From header, e.g. "Acme Recruiting <no-reply@greenhouse.io>"
+   * @returns {Object} {address, displayName}
+   */
+  parseSender(from) {
+    const value = from || '';
+    const match = value.match(/^\s*"?([^"<]*?)"?\s*<([^>]+)>/);
+    if (match) {
+      return { displayName: match[1].trim(), address: match[2].trim() };
+    }
+    return { displayName: '', address: value.trim() };
+  }
+
+  /**
+   * Clean a captured company name
+   * @param {string} value - Raw capture
+   * @returns {string|null} Company name or null if it is empty or an ATS name
+   */
+  cleanCompany(value) {
+    if (!value) return null;
+
+    const company = value
+      .replace(/\bvia\b.*$/i, '')
+      .replace(this.senderNoise, '')
+      .replace(/^the\s+/i, '')
+      .replace(/[\s@|,.!:–-]+$/, '')
+      .replace(/^[\s@|,.!:–-]+/, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    if (!company || this.atsNames.includes(company.toLowerCase())) {
+      return null;
+    }
+
+    return company;
+  }
+
+  /**
+   * Clean a captured position title
+   * @param {string} value - Raw capture
+   * @returns {string|null} Position or null
+   */
+  cleanPosition(value) {
+    if (!value) return null;
+
+    const position = value
+      .replace(/^the\s+/i, '')
+      .replace(/\s*\([^)]*\d[^)]*\)\s*$/, '') // Trailing requisition ID, e.g. "(JR12345)"
+      .replace(/\s+(?:position|role|job)$/i, '')
+      .replace(/[\s,.!:–-]+$/, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    return position || null;
+  }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TemplateExtractor;
+}
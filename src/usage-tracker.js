@@ -0,0 +1,111 @@
+// Usage Tracker - Lifetime and daily AI token usage and cost, accumulated across runs
+
+class UsageTracker {
+  constructor() {
+    this.storageKey = 'aiUsage';
+    this.daysKept = 31;
+  }
+
+  /**
+   * Empty totals
+   * @returns {Object} {calls, inputTokens, outputTokens, estimatedCalls, cost}
+   */
+  emptyTotals() {
+    return { calls: 0, inputTokens: 0, outputTokens: 0, estimatedCalls: 0, cost: 0 };
+  }
+
+  /**
+   * Get stored usage
+   * @returns {Promise<Object>} {since, totals, byProvider, daily}
+   */
+  async getUsage() {
+    try {
+      const result = await chrome.storage.local.get(this.storageKey);
+      return result[this.storageKey] || {
+        since: new Date().toISOString(),
+        totals: this.emptyTotals(),
+        byProvider: {},
+        daily: {}
+      };
+    } catch (error) {
+      console.error('Error reading AI usage:', error);
+      return { since: new Date().toISOString(), totals: this.emptyTotals(), byProvider: {}, daily: {} };
+    }
+  }
+
+  /**
+   * Add a run's usage to the lifetime and daily totals
+   * @param {Object} runUsage - AIProvider.getUsage() result
+   * @returns {Promise<void>}
+   */
+  async addRun(runUsage) {
+    if (!runUsage || runUsage.calls === 0) return;
+
+    const usage = await this.getUsage();
+    const today = this.getDayKey(new Date());
+
+    this.addTotals(usage.totals, runUsage);
+    usage.daily[today] = this.addTotals(usage.daily[today] || this.emptyTotals(), runUsage);
+
+    for (const [provider, providerUsage] of Object.entries(runUsage.byProvider || {})) {
+      usage.byProvider[provider] = this.addTotals(usage.byProvider[provider] || this.emptyTotals(), providerUsage);
+    }
+
+    // Keep only recent days (daily totals are for daily budgets and recent history)
+    Object.keys(usage.daily)
+      .sort()
+      .slice(0, -this.daysKept)
+      .forEach(day => delete usage.daily[day]);
+
+    await chrome.storage.local.set({ [this.storageKey]: usage });
+  }
+
+  /**
+   * Get usage for one day
+   * @param {Date} date - Day to look up (default today)
+   * @returns {Promise<Object>} Totals for that day
+   */
+  async getDayUsage(date = new Date()) {
+    const usage = await this.getUsage();
+    return usage.daily[this.getDayKey(date)] || this.emptyTotals();
+  }
+
+  /**
+   * Reset lifetime usage
+   * @returns {Promise<void>}
+   */
+  async reset() {
+    await chrome.storage.local.remove(this.storageKey);
+  }
+
+  /**
+   * Add usage counts into a totals object
+   * @param {Object} target - Totals to add to (mutated)
+   * @param {Object} source - Totals to add
+   * @returns {Object} The target
+   */
+  addTotals(target, source) {
+    target.calls += source.calls || 0;
+    target.inputTokens += source.inputTokens || 0;
+    target.outputTokens += source.outputTokens || 0;
+    target.estimatedCalls += source.estimatedCalls || 0;
+    target.cost += source.cost || 0;
+    return target;
+  }
+
+  /**
+   * Get the local-date key for a day
+   * @param {Date} date - Date
+   * @returns {string} YYYY-MM-DD in local time
+   */
+  getDayKey(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = UsageTracker;
+}
@@ -0,0 +1,68 @@
+// Application Matcher tests - Which application a follow-up email is attached to
+// Run with: node --test test/
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The extension loads this as a global with importScripts
+global.ApplicationStatus = require('../src/application-status');
+
+const ApplicationMatcher = require('../src/application-matcher');
+
+/**
+ * Build an email record the way EmailProcessor.buildRecord does
+ * @param {Object} fields - Fields that differ from the defaults
+ * @returns {Object} Email record
+ */
+function emailRecord(fields) {
+  return {
+    message_id: 'msg-new',
+    thread_id: null,
+    requisition_id: null,
+    source: 'email',
+    company: 'Acme',
+    position: null,
+    status: ApplicationStatus.APPLIED,
+    status_date: '2024-06-01',
+    email_title: 'Thank you for applying',
+    email_date: '2024-06-01',
+    ...fields
+  };
+}
+
+describe('ApplicationMatcher.findMatch', () => {
+  const matcher = new ApplicationMatcher();
+  const rejected = matcher.createApplication(emailRecord({
+    message_id: 'msg-old',
+    thread_id: 'thread-old',
+    status: ApplicationStatus.REJECTED,
+    status_date: '2024-01-10',
+    email_title: 'Update on your application',
+    email_date: '2024-01-10'
+  }));
+
+  it('matches the same thread', () => {
+    const record = emailRecord({ thread_id: 'thread-old', status: ApplicationStatus.INTERVIEW });
+    assert.equal(matcher.findMatch([rejected], record), rejected);
+  });
+
+  it('matches the same company and position', () => {
+    const application = matcher.createApplication(emailRecord({ message_id: 'msg-ds', position: 'Data Scientist' }));
+    const record = emailRecord({ position: 'data scientist', status: ApplicationStatus.INTERVIEW });
+    assert.equal(matcher.findMatch([rejected, application], record), application);
+  });
+
+  it('attaches a status change without a position to the company\'s application', () => {
+    const record = emailRecord({ status: ApplicationStatus.INTERVIEW });
+    assert.equal(matcher.findMatch([rejected], record), rejected);
+  });
+
+  it('starts a new application for a new confirmation at a company applied to before', () => {
+    const record = emailRecord({ position: 'Data Scientist' });
+    assert.equal(matcher.findMatch([rejected], record), null);
+  });
+
+  it('starts a new application for a new confirmation without a position', () => {
+    assert.equal(matcher.findMatch([rejected], emailRecord({})), null);
+  });
+});
@@ -0,0 +1,75 @@
+// Compensation Parser tests - Which amounts count as pay, and how they are normalized
+// Run with: node --test test/
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const CompensationParser = require('../src/compensation-parser');
+
+describe('CompensationParser.parse', () => {
+  const parser = new CompensationParser();
+
+  it('reads ranges, rates and currencies', () => {
+    assert.deepEqual(parser.parse('The base salary range is $120k–$150k plus equity'),
+      { min: 120000, max: 150000, currency: 'USD', period: 'year', basis: 'base' });
+    assert.deepEqual(parser.parse('Salary: €55,000 p.a.'),
+      { min: 55000, max: 55000, currency: 'EUR', period: 'year', basis: null });
+    assert.deepEqual(parser.parse('Pay rate $45/hr'),
+      { min: 45, max: 45, currency: 'USD', period: 'hour', basis: null });
+    assert.deepEqual(parser.parse('monthly salary 4.500 € brutto'),
+      { min: 4500, max: 4500, currency: 'EUR', period: 'month', basis: null });
+  });
+
+  it('skips amounts that are not about pay', () => {
+    assert.equal(parser.parse('We just closed a $5M seed round'), null);
+    assert.equal(parser.parse('Revenue grew to $40,000,000 last year'), null);
+    assert.equal(parser.parse('Get a $5 gift card for completing the survey'), null);
+  });
+
+  it('skips a funding round mentioned before the salary', () => {
+    assert.deepEqual(parser.parse('We just closed a $5M seed round and the salary range is $120k-$150k'),
+      { min: 120000, max: 150000, currency: 'USD', period: 'year', basis: null });
+  });
+
+  it('takes the basis written closest to the amount', () => {
+    assert.equal(parser.parse('base salary of $150,000 and OTE $200,000').basis, 'base');
+    assert.equal(parser.parse('OTE $200,000 with a base salary of $150,000').basis, 'total');
+    assert.equal(parser.parse('$150k base plus equity').basis, 'base');
+  });
+});
+
+describe('CompensationParser.choose', () => {
+  const parser = new CompensationParser();
+  const none = { min: null, max: null, currency: null, period: null, basis: null };
+
+  it('uses the local parse when the AI found no compensation', () => {
+    const parsed = { min: 45, max: 45, currency: 'USD', period: 'hour', basis: null };
+    assert.equal(parser.choose(parsed, none), parsed);
+  });
+
+  it('uses the local parse when it agrees with the AI', () => {
+    const parsed = { min: 120000, max: 150000, currency: 'USD', period: 'year', basis: 'base' };
+    const extracted = { min: 120000, max: 150000, currency: 'USD', period: 'year', basis: null };
+    assert.equal(parser.choose(parsed, extracted), parsed);
+  });
+
+  it('keeps the AI result when the local parse disagrees', () => {
+    const parsed = { min: 10000, max: 10000, currency: 'USD', period: 'year', basis: null };
+    const extracted = { min: 120000, max: 150000, currency: 'USD', period: 'year', basis: null };
+    assert.equal(parser.choose(parsed, extracted), extracted);
+  });
+});
+
+describe('CompensationParser.normalize', () => {
+  const parser = new CompensationParser();
+
+  it('annualizes hourly rates', () => {
+    const fields = parser.normalize({ min: 40, max: 50, currency: 'USD', period: 'hour', basis: null });
+    assert.equal(fields.salary_annual_min, 83200);
+    assert.equal(fields.salary_annual_max, 104000);
+  });
+
+  it('returns empty fields without compensation', () => {
+    assert.equal(parser.normalize(null).salary_annual_max, null);
+  });
+});
@@ -0,0 +1,170 @@
+// Email Processor tests - Template extraction first, the AI provider only when no template matches
+// Run with: node --test test/
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+// The extension loads these as globals with importScripts
+global.ApplicationStatus = require('../src/application-status');
+global.ApplicationMatcher = require('../src/application-matcher');
+global.CompensationParser = require('../src/compensation-parser');
+
+const AIProviderError = require('../src/ai-provider-error');
+const EmailProcessor = require('../src/email-processor');
+const TemplateExtractor = require('../src/template-extractor');
+
+/**
+ * AI provider stand-in that records the emails it was asked to extract
+ * @param {Object} answer - Extraction result to return
+ * @returns {Object} Fake provider with a calls array
+ */
+function fakeProvider(answer) {
+  return {
+    calls: [],
+    lastProvider: 'fake',
+    async extractInformation(email) {
+      this.calls.push(email);
+      return answer;
+    }
+  };
+}
+
+describe('EmailProcessor.extractInformation', () => {
+  it('falls back to the AI provider when no template matches', async () => {
+    const aiProvider = fakeProvider({ company: 'Example Startup', position: 'Platform Engineer', prompt_version: 3 });
+    const processor = new EmailProcessor(aiProvider, { templateExtractor: new TemplateExtractor() });
+    const email = {
+      messageId: 'unknown-template',
+      from: 'Recruiting <jobs@example-startup.com>',
+      subject: 'Thanks for applying to Example Startup',
+      body: 'We received your application for the Platform Engineer role.',
+      date: 'Mon, 16 Sep 2024 18:02:44 +0000'
+    };
+
+    const result = await processor.extractInformation(email);
+
+    assert.deepEqual(aiProvider.calls, [email]);
+    assert.equal(result.company, 'Example Startup');
+    assert.equal(result.template, undefined);
+    assert.equal(processor.getStats().templateExtractions, 0);
+  });
+
+  it('does not call the AI provider when a template matches', async () => {
+    const aiProvider = fakeProvider(null);
+    const processor = new EmailProcessor(aiProvider, { templateExtractor: new TemplateExtractor() });
+    const { email, expected } = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'ats', 'greenhouse.json'), 'utf8'));
+
+    const result = await processor.extractInformation(email);
+
+    assert.equal(aiProvider.calls.length, 0);
+    assert.equal(result.company, expected.company);
+    assert.equal(result.position, expected.position);
+    assert.equal(processor.getStats().templateExtractions, 1);
+  });
+
+  it('retries once after a rate limit', async () => {
+    const aiProvider = fakeProvider({ company: 'Example Startup', position: 'Platform Engineer' });
+    const extract = aiProvider.extractInformation;
+    aiProvider.extractInformation = async function (email) {
+      if (this.calls.length === 0) {
+        this.calls.push(email);
+        throw AIProviderError.fromResponse('openai', 429, 'Too many requests');
+      }
+      return extract.call(this, email);
+    };
+    const processor = new EmailProcessor(aiProvider);
+    processor.delay = async () => {};
+
+    const result = await processor.extractInformation({ messageId: 'rate-limited', subject: 'Application received' });
+
+    assert.equal(aiProvider.calls.length, 2);
+    assert.equal(result.company, 'Example Startup');
+  });
+});
+
+describe('EmailProcessor.buildRecord', () => {
+  const processor = new EmailProcessor(fakeProvider(null));
+  const email = {
+    messageId: 'offer',
+    subject: 'Your offer from Example Startup',
+    body: 'Your base salary will be $140,000 per year.\n\nExample Startup pays a $1,500 yearly learning budget.',
+    date: '2024-06-01'
+  };
+  const extracted = (fields) => ({
+    company: 'Example Startup',
+    position: 'Platform Engineer',
+    salary_min: null,
+    salary_max: null,
+    salary_currency: null,
+    salary_period: null,
+    salary_basis: null,
+    ...fields
+  });
+
+  it('reads compensation locally when the AI found none', () => {
+    const record = processor.buildRecord(email, extracted({}), ApplicationStatus.OFFER);
+    assert.equal(record.salary_min, 140000);
+    assert.equal(record.salary_basis, 'base');
+  });
+
+  it('keeps the AI compensation when the local parse disagrees with it', () => {
+    const footer = { ...email, body: 'Congratulations on your offer!\n\n--\nExample Startup · Compensation questions? Call 555 0100 · Pay stubs: $1,200' };
+    const record = processor.buildRecord(footer, extracted({
+      salary_min: 140000, salary_max: 140000, salary_currency: 'USD', salary_period: 'year'
+    }), ApplicationStatus.OFFER);
+    assert.equal(record.salary_min, 140000);
+    assert.equal(record.salary_annual_max, 140000);
+  });
+});
+
+describe('EmailProcessor budget', () => {
+  const emails = Array.from({ length: 10 }, (_, index) => ({
+    messageId: `msg-${index}`,
+    from: 'jobs@example-startup.com',
+    subject: `Email ${index}`,
+    body: 'Thanks for applying.',
+    date: '2024-06-01'
+  }));
+
+  /**
+   * Provider stand-in with no usage yet, whose next request is estimated at a fixed size
+   * @param {number} tokens - Estimated tokens of any request
+   * @returns {Object} Fake provider with a batches array
+   */
+  function meteredProvider(tokens) {
+    return {
+      batches: [],
+      getUsage: () => ({ calls: 0, inputTokens: 0, outputTokens: 0, cost: 0 }),
+      estimateRequest: (name, batch) => ({ tokens: tokens * batch.length, cost: 0 }),
+      async categorizeBatch(batch) {
+        this.batches.push(batch);
+        return batch.map(() => null);
+      }
+    };
+  }
+
+  it('stops before sending a batch that would go past the run budget', async () => {
+    const aiProvider = meteredProvider(500);
+    const processor = new EmailProcessor(aiProvider, { batchSize: 10, budget: { maxRunTokens: 2000 } });
+
+    const records = await processor.processEmails(emails);
+
+    assert.deepEqual(records, []);
+    assert.equal(aiProvider.batches.length, 0);
+    assert.match(processor.budgetExhausted, /Run token budget reached/);
+  });
+
+  it('sends the batch when it fits the budget', async () => {
+    const aiProvider = meteredProvider(50);
+    const processor = new EmailProcessor(aiProvider, { batchSize: 10, budget: { maxRunTokens: 2000 } });
+    processor.delay = async () => {};
+
+    await processor.processEmails(emails);
+
+    assert.equal(aiProvider.batches.length, 1);
+    assert.equal(processor.budgetExhausted, null);
+  });
+});
+
@@ -0,0 +1,57 @@
+// Scan Scheduler tests - Which alarms each schedule mode registers
+// Run with: node --test test/
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ScanScheduler = require('../src/scan-scheduler');
+
+// chrome.alarms stand-in keeping alarms by name
+const alarms = new Map();
+global.chrome = {
+  alarms: {
+    create: async (name, info) => {
+      const scheduledTime = info.when || Date.now() + info.delayInMinutes * 60000;
+      alarms.set(name, { name, scheduledTime, periodInMinutes: info.periodInMinutes });
+    },
+    clear: async (name) => alarms.delete(name),
+    get: async (name) => alarms.get(name)
+  }
+};
+
+describe('ScanScheduler', () => {
+  const scheduler = new ScanScheduler();
+  const daily = { scheduleMode: 'daily', scheduleTime: '09:30', scheduleIntervalMinutes: 240 };
+
+  beforeEach(() => alarms.clear());
+
+  it('registers a one-shot alarm at the local time for daily scans', async () => {
+    const nextRun = new Date(await scheduler.applySchedule(daily));
+
+    assert.equal(alarms.get(scheduler.alarmName).periodInMinutes, undefined);
+    assert.equal(nextRun.getHours(), 9);
+    assert.equal(nextRun.getMinutes(), 30);
+  });
+
+  it('sets the next daily alarm when one fires', async () => {
+    const nextRun = await scheduler.scheduleNext(daily);
+    assert.equal(nextRun, new Date(alarms.get(scheduler.alarmName).scheduledTime).toISOString());
+  });
+
+  it('leaves repeating alarms alone when they fire', async () => {
+    const hourly = { ...daily, scheduleMode: 'hourly' };
+    await scheduler.applySchedule(hourly);
+    const alarm = alarms.get(scheduler.alarmName);
+
+    await scheduler.scheduleNext(hourly);
+
+    assert.equal(alarms.get(scheduler.alarmName), alarm);
+    assert.equal(alarm.periodInMinutes, 60);
+  });
+
+  it('keeps the local time of day across a daylight saving change', () => {
+    // Any time zone: the next run is at 09:30 local time the next day, not 24 hours later
+    const next = scheduler.getNextDailyRun('09:30', new Date(2024, 2, 9, 12, 0));
+    assert.deepEqual([next.getDate(), next.getHours(), next.getMinutes()], [10, 9, 30]);
+  });
+});
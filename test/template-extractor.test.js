@@ -0,0 +1,59 @@
+// Template Extractor tests - Each ATS fixture must be parsed locally, by the right template
+// Run with: node --test test/
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const TemplateExtractor = require('../src/template-extractor');
+
+const fixtureDir = path.join(__dirname, 'fixtures', 'ats');
+const fixtures = fs.readdirSync(fixtureDir)
+  .filter(file => file.endsWith('.json'))
+  .map(file => ({ name: path.basename(file, '.json'), ...JSON.parse(fs.readFileSync(path.join(fixtureDir, file), 'utf8')) }));
+
+describe('TemplateExtractor', () => {
+  const extractor = new TemplateExtractor();
+
+  for (const { name, email, expected } of fixtures) {
+    it(`extracts company and position from ${name}`, () => {
+      const result = extractor.extract(email);
+
+      assert.ok(result, 'no template matched');
+      assert.equal(result.company, expected.company);
+      assert.equal(result.position, expected.position);
+      assert.equal(result.template, expected.template);
+      assert.equal(extractor.detectPlatform(email), expected.platform);
+    });
+  }
+
+  it('has a fixture for every built-in platform', () => {
+    const platforms = new Set(extractor.templates.map(template => template.platform));
+    const covered = new Set(fixtures.map(fixture => fixture.expected.platform));
+    assert.deepEqual([...platforms].filter(platform => !covered.has(platform)), []);
+  });
+
+  it('leaves ATS emails that match no fingerprint to the AI', () => {
+    const email = {
+      from: 'Adobe <adobe@myworkday.com>',
+      subject: 'Complete your candidate profile',
+      body: 'Hi Jordan,\n\nPlease finish setting up your Adobe candidate account to see open roles.',
+      date: 'Mon, 16 Sep 2024 18:02:44 +0000'
+    };
+
+    assert.equal(extractor.findTemplate(email), null);
+    assert.equal(extractor.extract(email), null);
+  });
+
+  it('leaves emails from unknown senders to the AI', () => {
+    const email = {
+      from: 'Recruiting <jobs@example-startup.com>',
+      subject: 'Thanks for applying to Example Startup',
+      body: 'We received your application for the Platform Engineer role.',
+      date: 'Mon, 16 Sep 2024 18:02:44 +0000'
+    };
+
+    assert.equal(extractor.extract(email), null);
+  });
+});